@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const User = require('./models/User');
+require('dotenv').config({ path: './config.env' });
+
+// Read --name, --email and --password from the command line
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+async function createFirstAdmin() {
+  const { name, email, password } = parseArgs(process.argv.slice(2));
+
+  if (!name || !email || !password) {
+    console.error('Usage: npm run create-admin -- --name "Admin User" --email admin@example.com --password secret123');
+    process.exit(1);
+  }
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Only bootstrap the very first admin; later admins must be invited
+    const existingAdmin = await User.findOne({ role: 'ADMIN' });
+    if (existingAdmin) {
+      console.error('An admin account already exists. Invite new admins through POST /api/admin/invitations.');
+      process.exit(1);
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      console.error(`User with email ${email} already exists`);
+      process.exit(1);
+    }
+
+    const admin = await User.create({
+      name,
+      email,
+      password,
+      role: 'ADMIN',
+      emailVerified: true
+    });
+    console.log('Created admin user:', admin.email);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error creating admin user:', error);
+    process.exit(1);
+  }
+}
+
+// Run the bootstrap function
+createFirstAdmin();
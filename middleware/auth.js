@@ -1,18 +1,82 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { getRolePermissions } = require('../services/rbac');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
   });
 };
 
+// Generate a short-lived token proving the password step of a 2FA login succeeded
+const generateTwoFactorChallengeToken = (userId) => {
+  return jwt.sign({ userId, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Verify a 2FA challenge token and return the user id it was issued for
+const verifyTwoFactorChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== '2fa') {
+    throw new jwt.JsonWebTokenError('Invalid challenge token');
+  }
+  return decoded.userId;
+};
+
+// Load the session an access token was issued for, if it is still active
+const findActiveSession = async (sessionId) => {
+  if (!sessionId) {
+    return null;
+  }
+  const session = await Session.findById(sessionId);
+  return session && session.isValid() ? session : null;
+};
+
+// Authenticate a server-to-server request made with an X-API-Key header
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(key) });
+
+  if (!apiKey || !apiKey.isValid()) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid, revoked or expired API key.'
+    });
+  }
+
+  // Requests are attributed to the admin who created the key
+  const user = await User.findById(apiKey.createdBy).select('-password');
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'API key owner is no longer active.'
+    });
+  }
+
+  await ApiKey.updateOne(
+    { _id: apiKey._id },
+    { lastUsedAt: new Date(), lastUsedIp: req.ip }
+  );
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
+
 // Authentication middleware
 const authenticate = async (req, res, next) => {
   try {
     let token;
     
+    // Server-to-server integrations authenticate with an API key instead of a JWT
+    if (req.headers['x-api-key']) {
+      return await authenticateApiKey(req, res, next, req.headers['x-api-key']);
+    }
+    
     console.log('Authorization header:', req.headers.authorization); // Debug log
     
     // Check for token in headers
@@ -33,6 +97,15 @@ const authenticate = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     console.log('Token decoded successfully, userId:', decoded.userId); // Debug log
     
+    // Reject tokens whose session was revoked (logout, password reset, admin action)
+    const session = await findActiveSession(decoded.sid);
+    if (!session) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Session has been revoked. Please log in again.'
+      });
+    }
+    
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
     console.log('User found:', user ? 'Yes' : 'No'); // Debug log
@@ -52,7 +125,9 @@ const authenticate = async (req, res, next) => {
     }
     
     console.log('User authenticated successfully:', user.email, 'Role:', user.role); // Debug log
+    await session.touch(req.ip);
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.log('Authentication error:', error.message); // Debug log
@@ -78,23 +153,84 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Admins must enroll in 2FA before using admin features when the policy is enabled
+const isMissingRequiredTwoFactor = (req) => {
+  return process.env.REQUIRE_ADMIN_2FA === 'true'
+    && req.user.role === 'ADMIN'
+    && !req.user.twoFactorEnabled
+    && !req.apiKey;
+};
+
+const twoFactorRequiredResponse = (res) => {
+  return res.status(403).json({
+    status: 'error',
+    message: 'Two-factor authentication must be enabled for admin accounts. Set it up via /api/auth/2fa/setup.'
+  });
+};
+
 // Authorization middleware for admin only
 const authorizeAdmin = (req, res, next) => {
-  if (req.user.role !== 'ADMIN') {
+  if (req.user.role !== 'ADMIN' || req.apiKey) {
     return res.status(403).json({
       status: 'error',
       message: 'Access denied. Admin privileges required.'
     });
   }
+  if (isMissingRequiredTwoFactor(req)) {
+    return twoFactorRequiredResponse(res);
+  }
   next();
 };
 
+// Reject requests authenticated with an API key (account self-service, key management)
+const denyApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'This endpoint cannot be used with an API key.'
+    });
+  }
+  next();
+};
+
+// Authorization middleware factory requiring every listed permission
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      let granted = await getRolePermissions(req.user.role);
+
+      // API keys are limited to their own scopes, within what their creator still holds
+      if (req.apiKey) {
+        granted = granted.filter(permission => req.apiKey.permissions.includes(permission));
+      }
+
+      const missing = permissions.filter(permission => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          status: 'error',
+          message: `Access denied. Missing permission: ${missing.join(', ')}`
+        });
+      }
+
+      if (isMissingRequiredTwoFactor(req)) {
+        return twoFactorRequiredResponse(res);
+      }
+
+      req.permissions = granted;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 // Authorization middleware for user only
 const authorizeUser = (req, res, next) => {
   console.log('User role:', req.user.role); // Debug log
   console.log('User ID:', req.user._id); // Debug log
   console.log('User email:', req.user.email); // Debug log
-  if (req.user.role !== 'USER') {
+  if (req.user.role !== 'USER' || req.apiKey) {
     return res.status(403).json({
       status: 'error',
       message: 'Access denied. User privileges required.'
@@ -103,6 +239,17 @@ const authorizeUser = (req, res, next) => {
   next();
 };
 
+// Block unverified accounts when the checkout verification policy is enabled
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT === 'true' && !req.user.emailVerified) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Please verify your email address before placing an order.'
+    });
+  }
+  next();
+};
+
 // Optional authentication middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -116,8 +263,9 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.userId).select('-password');
       
-      if (user && user.isActive) {
+      if (user && user.isActive && await findActiveSession(decoded.sid)) {
         req.user = user;
+        req.sessionId = decoded.sid;
       }
     }
     
@@ -130,8 +278,13 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   generateToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
   authenticate,
   authorizeAdmin,
   authorizeUser,
+  requirePermission,
+  denyApiKey,
+  requireVerifiedEmail,
   optionalAuth
 };
@@ -55,6 +55,16 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  // File upload errors (file too large, too many files, unexpected field)
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message;
+    error = {
+      status: 'error',
+      message,
+      statusCode: 400
+    };
+  }
+
   // Custom application errors
   if (err.name === 'AppError') {
     error = {
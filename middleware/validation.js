@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const { PERMISSIONS } = require('../services/rbac');
+const { checkProductAttributes } = require('../services/productAttributes');
 
 // User validation schemas
 const registerSchema = Joi.object({
@@ -15,7 +17,10 @@ const registerSchema = Joi.object({
     'string.empty': 'Password is required',
     'string.min': 'Password must be at least 6 characters'
   }),
-  role: Joi.string().valid('USER', 'ADMIN').default('USER')
+  // Admin accounts can only be created through an invitation
+  role: Joi.string().valid('USER').default('USER').messages({
+    'any.only': 'Only USER accounts can be registered. Admin accounts require an invitation.'
+  })
 });
 
 const loginSchema = Joi.object({
@@ -28,14 +33,251 @@ const loginSchema = Joi.object({
   })
 });
 
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required().messages({
+    'string.empty': 'Refresh token is required'
+  })
+});
+
+const updateProfileSchema = Joi.object({
+  name: Joi.string().min(2).max(50).required().messages({
+    'string.empty': 'Name is required',
+    'string.min': 'Name must be at least 2 characters',
+    'string.max': 'Name cannot exceed 50 characters'
+  })
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required().messages({
+    'string.empty': 'Current password is required'
+  }),
+  newPassword: Joi.string().min(6).invalid(Joi.ref('currentPassword')).required().messages({
+    'string.empty': 'New password is required',
+    'string.min': 'New password must be at least 6 characters',
+    'any.invalid': 'New password must be different from the current password'
+  })
+});
+
+const deleteAccountSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'string.empty': 'Password is required'
+  })
+});
+
+const changeEmailSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.empty': 'Email is required',
+    'string.email': 'Please enter a valid email'
+  }),
+  currentPassword: Joi.string().required().messages({
+    'string.empty': 'Current password is required'
+  })
+});
+
+// Two-factor authentication schemas
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required().messages({
+    'string.empty': 'Verification code is required',
+    'string.pattern.base': 'Verification code must be 6 digits'
+  })
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    'string.empty': 'Challenge token is required'
+  }),
+  code: Joi.string().pattern(/^\d{6}$/).messages({
+    'string.pattern.base': 'Verification code must be 6 digits'
+  }),
+  recoveryCode: Joi.string().max(20)
+}).xor('code', 'recoveryCode').messages({
+  'object.missing': 'Either a verification code or a recovery code is required',
+  'object.xor': 'Provide either a verification code or a recovery code, not both'
+});
+
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'string.empty': 'Password is required'
+  }),
+  code: Joi.string().pattern(/^\d{6}$/).messages({
+    'string.pattern.base': 'Verification code must be 6 digits'
+  }),
+  recoveryCode: Joi.string().max(20)
+}).xor('code', 'recoveryCode').messages({
+  'object.missing': 'Either a verification code or a recovery code is required',
+  'object.xor': 'Provide either a verification code or a recovery code, not both'
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.empty': 'Email is required',
+    'string.email': 'Please enter a valid email'
+  })
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'string.empty': 'Reset token is required'
+  }),
+  password: Joi.string().min(6).required().messages({
+    'string.empty': 'Password is required',
+    'string.min': 'Password must be at least 6 characters'
+  })
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'string.empty': 'Verification token is required'
+  })
+});
+
+const adminInvitationSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.empty': 'Email is required',
+    'string.email': 'Please enter a valid email'
+  })
+});
+
+const acceptInvitationSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'string.empty': 'Invitation token is required'
+  }),
+  name: Joi.string().min(2).max(50).optional().messages({
+    'string.min': 'Name must be at least 2 characters',
+    'string.max': 'Name cannot exceed 50 characters'
+  }),
+  password: Joi.string().min(6).required().messages({
+    'string.empty': 'Password is required',
+    'string.min': 'Password must be at least 6 characters'
+  })
+});
+
+// Role validation schemas
+const roleSchema = Joi.object({
+  name: Joi.string().pattern(/^[A-Za-z][A-Za-z0-9_]*$/).max(30).required().messages({
+    'string.empty': 'Role name is required',
+    'string.pattern.base': 'Role name may only contain letters, numbers and underscores',
+    'string.max': 'Role name cannot exceed 30 characters'
+  }),
+  description: Joi.string().max(200).optional(),
+  permissions: Joi.array().items(Joi.string().valid(...PERMISSIONS)).unique().default([]).messages({
+    'any.only': `Permissions must be one of: ${PERMISSIONS.join(', ')}`
+  })
+});
+
+const roleUpdateSchema = Joi.object({
+  description: Joi.string().max(200).optional(),
+  permissions: Joi.array().items(Joi.string().valid(...PERMISSIONS)).unique().optional().messages({
+    'any.only': `Permissions must be one of: ${PERMISSIONS.join(', ')}`
+  })
+});
+
+const userRoleUpdateSchema = Joi.object({
+  role: Joi.string().required().messages({
+    'string.empty': 'Role is required'
+  })
+});
+
+const userStatusUpdateSchema = Joi.object({
+  isActive: Joi.boolean().required()
+});
+
+// API key validation schemas
+const apiKeySchema = Joi.object({
+  name: Joi.string().max(100).required().messages({
+    'string.empty': 'API key name is required',
+    'string.max': 'API key name cannot exceed 100 characters'
+  }),
+  permissions: Joi.array().items(Joi.string().valid(...PERMISSIONS)).min(1).unique().required().messages({
+    'array.min': 'At least one permission is required',
+    'any.only': `Permissions must be one of: ${PERMISSIONS.join(', ')}`
+  }),
+  expiresAt: Joi.date().iso().greater('now').optional().messages({
+    'date.greater': 'Expiry date must be in the future'
+  })
+});
+
 // Product validation schemas
+const productOptionSchema = Joi.object({
+  name: Joi.string().trim().max(30).required().messages({
+    'string.empty': 'Option name is required'
+  }),
+  values: Joi.array().items(Joi.string().trim().max(50)).min(1).unique().required().messages({
+    'array.min': 'Option must have at least one value'
+  })
+});
+
+const productVariantSchema = Joi.object({
+  _id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(), // Existing variant when updating
+  sku: Joi.string().trim().max(64).required().messages({
+    'string.empty': 'Variant SKU is required'
+  }),
+  options: Joi.object().pattern(Joi.string(), Joi.string().max(50)).default({}),
+  price: Joi.number().min(0).required().messages({
+    'number.base': 'Variant price must be a number',
+    'number.min': 'Price cannot be negative'
+  }),
+  stock: Joi.number().integer().min(0).default(0).messages({
+    'number.min': 'Stock cannot be negative'
+  }),
+  isActive: Joi.boolean().optional()
+});
+
+// A product included in a bundle; products with variants need the variant to include
+const productBundleItemSchema = Joi.object({
+  productId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+    'string.pattern.base': 'Invalid product ID format'
+  }),
+  variantId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null).optional().messages({
+    'string.pattern.base': 'Invalid variant ID format'
+  }),
+  quantity: Joi.number().integer().min(1).max(100).default(1).messages({
+    'number.min': 'Quantity must be at least 1'
+  })
+});
+
+// Specification values by attribute key, e.g. { "battery_life": 30, "wireless": true }.
+// Strict, so numbers and booleans are stored as sent rather than converted from text.
+const productAttributesSchema = Joi.object().pattern(
+  /^[a-z0-9_]{1,30}$/,
+  Joi.alternatives().try(Joi.number().strict(), Joi.boolean().strict(), Joi.string().max(100))
+).max(50).messages({
+  'object.unknown': 'Attribute keys may only contain lowercase letters, numbers and underscores'
+});
+
+// Attribute values must match the definitions of the product's category; an update is checked against
+// the category of the product in the route (context.params.id) unless it moves the product
+const checkAttributes = async (value, helpers) => {
+  const { params = {} } = helpers.prefs.context || {};
+  const messages = await checkProductAttributes({
+    attributes: value.attributes,
+    categoryId: value.categoryId,
+    category: value.category,
+    productId: params.id
+  });
+
+  if (messages.length === 0) {
+    return undefined;
+  }
+
+  const errors = helpers.errorsArray();
+  messages.forEach(message => errors.push(helpers.message({ external: '{#message}' }, { message })));
+  return errors;
+};
+
 const productSchema = Joi.object({
   name: Joi.string().min(2).max(100).required().messages({
     'string.empty': 'Product name is required',
     'string.min': 'Product name must be at least 2 characters',
     'string.max': 'Product name cannot exceed 100 characters'
   }),
-  price: Joi.number().min(0).required().messages({
+  sku: Joi.string().trim().max(64).optional(),
+  // Products with variants take their price from the cheapest variant
+  price: Joi.number().min(0).when('variants', {
+    is: Joi.array().min(1).required(),
+    then: Joi.optional(),
+    otherwise: Joi.required()
+  }).messages({
     'number.base': 'Price must be a number',
     'number.min': 'Price cannot be negative'
   }),
@@ -47,18 +289,116 @@ const productSchema = Joi.object({
     'number.base': 'Stock must be a number',
     'number.min': 'Stock cannot be negative'
   }),
-  category: Joi.string().max(50).optional(),
-  imageUrl: Joi.string().uri().optional()
-});
+  reorderThreshold: Joi.number().integer().min(0).allow(null).optional(),
+  category: Joi.string().max(50).optional(), // Name of an existing category, or a new top-level one
+  categoryId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional().messages({
+    'string.pattern.base': 'Invalid category ID format'
+  }),
+  imageUrl: Joi.string().uri().optional(),
+  options: Joi.array().items(productOptionSchema).max(3).optional(),
+  variants: Joi.array().items(productVariantSchema).max(100).optional(),
+  bundleItems: Joi.array().items(productBundleItemSchema).min(1).max(20).optional(), // Makes the product a bundle
+  attributes: productAttributesSchema.optional() // Replaces all attribute values
+}).external(checkAttributes);
 
 const productUpdateSchema = Joi.object({
   name: Joi.string().min(2).max(100).optional(),
+  sku: Joi.string().trim().max(64).optional(),
   price: Joi.number().min(0).optional(),
   description: Joi.string().max(1000).optional(),
   stock: Joi.number().min(0).optional(),
-  category: Joi.string().max(50).optional(),
+  reorderThreshold: Joi.number().integer().min(0).allow(null).optional(),
+  category: Joi.string().max(50).optional(), // Name of an existing category, or a new top-level one
+  categoryId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional().messages({
+    'string.pattern.base': 'Invalid category ID format'
+  }),
   imageUrl: Joi.string().uri().optional(),
-  isActive: Joi.boolean().optional()
+  isActive: Joi.boolean().optional(),
+  options: Joi.array().items(productOptionSchema).max(3).optional(),
+  variants: Joi.array().items(productVariantSchema).max(100).optional(),
+  bundleItems: Joi.array().items(productBundleItemSchema).min(1).max(20).optional(), // Makes the product a bundle
+  attributes: productAttributesSchema.optional() // Replaces all attribute values
+}).external(checkAttributes);
+
+// Category validation schemas
+const categoryAttributeSchema = Joi.object({
+  key: Joi.string().pattern(/^[a-z0-9_]{1,30}$/).required().messages({
+    'string.pattern.base': 'Attribute key may only contain lowercase letters, numbers and underscores'
+  }),
+  name: Joi.string().trim().max(50).required(),
+  type: Joi.string().valid('STRING', 'NUMBER', 'BOOLEAN', 'ENUM').required(),
+  unit: Joi.string().trim().max(20).optional(),
+  values: Joi.array().items(Joi.string().trim().max(100)).min(1).max(100).unique().when('type', {
+    is: 'ENUM',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  required: Joi.boolean().optional()
+});
+
+const categorySchema = Joi.object({
+  name: Joi.string().trim().max(50).required().messages({
+    'string.empty': 'Category name is required',
+    'string.max': 'Category name cannot exceed 50 characters'
+  }),
+  slug: Joi.string().pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).max(60).optional().messages({
+    'string.pattern.base': 'Slug may only contain lowercase letters, numbers and hyphens'
+  }),
+  description: Joi.string().max(500).allow('').optional(),
+  parentId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null).optional().messages({
+    'string.pattern.base': 'Invalid parent category ID format'
+  }),
+  sortOrder: Joi.number().integer().optional(),
+  isActive: Joi.boolean().optional(),
+  attributes: Joi.array().items(categoryAttributeSchema).max(50).unique('key').optional().messages({
+    'array.unique': 'Attribute keys must be unique'
+  })
+});
+
+const categoryUpdateSchema = categorySchema.fork(['name'], schema => schema.optional()).min(1);
+
+// Review validation schemas
+const reviewSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required().messages({
+    'any.required': 'Rating is required',
+    'number.min': 'Rating must be between 1 and 5',
+    'number.max': 'Rating must be between 1 and 5'
+  }),
+  title: Joi.string().trim().max(100).allow('').optional(),
+  comment: Joi.string().trim().max(2000).allow('').optional()
+});
+
+const reviewUpdateSchema = reviewSchema.fork(['rating'], schema => schema.optional()).min(1);
+
+const reviewModerationSchema = Joi.object({
+  status: Joi.string().valid('APPROVED', 'REJECTED').required(),
+  moderationNote: Joi.string().trim().max(500).allow('').optional()
+});
+
+// Back-in-stock notification for a product, or one of its variants
+const stockSubscriptionSchema = Joi.object({
+  variantId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional().messages({
+    'string.pattern.base': 'Invalid variant ID format'
+  })
+});
+
+// Product image schemas (uploads are multipart/form-data with an "images" file field)
+const productImageUploadSchema = Joi.object({
+  altText: Joi.string().trim().max(200).allow('').optional()
+});
+
+const productImageUpdateSchema = Joi.object({
+  altText: Joi.string().trim().max(200).allow('').optional(),
+  isPrimary: Joi.boolean().valid(true).optional().messages({
+    'any.only': 'Choose another image as primary instead'
+  })
+}).min(1);
+
+const productImageOrderSchema = Joi.object({
+  imageIds: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).min(1).unique().required().messages({
+    'string.pattern.base': 'Invalid image ID format',
+    'array.unique': 'Each image can only appear once'
+  })
 });
 
 // Cart validation schemas
@@ -67,6 +407,9 @@ const cartItemSchema = Joi.object({
     'string.empty': 'Product ID is required',
     'string.pattern.base': 'Invalid product ID format'
   }),
+  variantId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional().messages({
+    'string.pattern.base': 'Invalid variant ID format'
+  }),
   quantity: Joi.number().min(1).max(100).required().messages({
     'number.base': 'Quantity must be a number',
     'number.min': 'Quantity must be at least 1',
@@ -74,6 +417,13 @@ const cartItemSchema = Joi.object({
   })
 });
 
+// Query schema selecting the variant of a cart item
+const cartItemQuerySchema = Joi.object({
+  variantId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional().messages({
+    'string.pattern.base': 'Invalid variant ID format'
+  })
+});
+
 // Order validation schemas
 const checkoutSchema = Joi.object({
   shippingAddress: Joi.object({
@@ -111,11 +461,48 @@ const paginationSchema = Joi.object({
   order: Joi.string().valid('asc', 'desc').default('desc')
 });
 
+// Multi-select filters take repeated parameters or comma-separated values
+const multiValue = (item) => Joi.alternatives().try(item, Joi.array().items(item).max(20));
+
 const productQuerySchema = paginationSchema.keys({
   search: Joi.string().optional(),
-  category: Joi.string().optional(),
+  category: multiValue(Joi.string()).optional(),
   minPrice: Joi.number().min(0).optional(),
-  maxPrice: Joi.number().min(0).optional()
+  maxPrice: Joi.number().min(0).optional(),
+  priceRange: multiValue(Joi.string().pattern(/^\d+(\.\d+)?-(\d+(\.\d+)?)?(,\d+(\.\d+)?-(\d+(\.\d+)?)?)*$/)).optional().messages({
+    'string.pattern.base': 'Price ranges must look like 25-50 or 1000-'
+  }),
+  availability: multiValue(Joi.string().pattern(/^(in_stock|out_of_stock)(,(in_stock|out_of_stock))?$/)).optional().messages({
+    'string.pattern.base': 'Availability must be in_stock or out_of_stock'
+  }),
+  // Variant options, e.g. attr[Size]=M,L
+  attr: Joi.object().pattern(/^[^.$]{1,30}$/, multiValue(Joi.string().max(50))).max(5).optional().messages({
+    'object.unknown': 'Invalid attribute name'
+  }),
+  // Product attributes, e.g. spec[battery_life]=20-&spec[material]=aluminum,steel
+  spec: Joi.object().pattern(/^[a-z0-9_]{1,30}$/, multiValue(Joi.string().max(50))).max(10).optional().messages({
+    'object.unknown': 'Invalid attribute key'
+  }),
+  minRating: Joi.number().min(0).max(5).optional(),
+  facets: Joi.boolean().optional()
+});
+
+const reviewQuerySchema = paginationSchema.keys({
+  sort: Joi.string().valid('createdAt', 'rating').optional()
+});
+
+const adminReviewQuerySchema = paginationSchema.keys({
+  status: Joi.string().valid('PENDING', 'APPROVED', 'REJECTED').optional(),
+  productId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional()
+});
+
+const productSuggestSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(100).required(),
+  limit: Joi.number().integer().min(1).max(20).optional()
+});
+
+const adminProductQuerySchema = paginationSchema.keys({
+  archived: Joi.boolean().optional()
 });
 
 const orderQuerySchema = paginationSchema.keys({
@@ -123,6 +510,91 @@ const orderQuerySchema = paginationSchema.keys({
   userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional()
 });
 
+const loginAttemptQuerySchema = paginationSchema.keys({
+  email: Joi.string().email().optional(),
+  userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  ip: Joi.string().optional(),
+  success: Joi.boolean().optional()
+});
+
+const eraseUserSchema = Joi.object({
+  reason: Joi.string().trim().max(500).optional()
+});
+
+const auditLogQuerySchema = paginationSchema.keys({
+  action: Joi.string().valid('USER_DATA_EXPORTED', 'USER_ERASED', 'TWO_FACTOR_RESET').optional(),
+  actorId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  targetUserId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional()
+});
+
+const stockMovementQuerySchema = paginationSchema.keys({
+  type: Joi.string().valid('OPENING_BALANCE', 'RESERVATION', 'RELEASE', 'SALE', 'ADJUSTMENT', 'RESTOCK', 'RETURN').optional(),
+  variantId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional()
+});
+
+const stockAdjustmentSchema = Joi.object({
+  variantId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional().messages({
+    'string.pattern.base': 'Invalid variant ID format'
+  }),
+  quantity: Joi.number().integer().invalid(0).required()
+    .when('type', { is: Joi.valid('RESTOCK', 'RETURN'), then: Joi.number().min(1) })
+    .messages({
+      'number.base': 'Quantity must be a number',
+      'any.invalid': 'Quantity cannot be zero',
+      'number.min': 'Restocks and returns must add stock'
+    }),
+  type: Joi.string().valid('ADJUSTMENT', 'RESTOCK', 'RETURN').default('ADJUSTMENT'),
+  reason: Joi.string().trim().max(500).required().messages({
+    'string.empty': 'Reason is required',
+    'any.required': 'Reason is required'
+  })
+});
+
+const reconcileSchema = Joi.object({
+  apply: Joi.boolean().default(false)
+});
+
+// A sale needs an end time; without one the price change is permanent
+const priceScheduleSchema = Joi.object({
+  variantId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional().messages({
+    'string.pattern.base': 'Invalid variant ID format'
+  }),
+  price: Joi.number().min(0).optional(),
+  percentOff: Joi.number().integer().min(1).max(99).optional().messages({
+    'number.min': 'Discount must be between 1 and 99 percent',
+    'number.max': 'Discount must be between 1 and 99 percent'
+  }),
+  compareAtPrice: Joi.number().min(0).optional(),
+  label: Joi.string().trim().max(50).optional(),
+  startsAt: Joi.date().iso().optional(),
+  endsAt: Joi.date().iso().greater('now').optional()
+    .when('startsAt', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('startsAt')) })
+    .messages({
+      'date.greater': 'End time must be in the future and after the start time'
+    })
+}).xor('price', 'percentOff').messages({
+  'object.missing': 'Either price or percentOff is required',
+  'object.xor': 'Use either price or percentOff, not both'
+});
+
+const lowStockQuerySchema = paginationSchema.keys({
+  salesDays: Joi.number().integer().min(1).max(365).default(30), // Window of paid orders used for the sales rate
+  coverDays: Joi.number().integer().min(1).max(365).default(30) // Days of sales a reorder should cover
+});
+
+const priceHistoryQuerySchema = paginationSchema.keys({
+  type: Joi.string().valid('PRICE_CHANGE', 'SALE_STARTED', 'SALE_ENDED').optional(),
+  variantId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional()
+});
+
+const productDeleteQuerySchema = Joi.object({
+  permanent: Joi.boolean().optional()
+});
+
+const productImportQuerySchema = Joi.object({
+  dryRun: Joi.boolean().optional()
+});
+
 // Parameter validation schemas
 const mongoIdSchema = Joi.object({
   id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
@@ -130,6 +602,36 @@ const mongoIdSchema = Joi.object({
   })
 });
 
+// Params schema for a user's session in admin routes
+const userSessionParamSchema = Joi.object({
+  id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+    'string.pattern.base': 'Invalid ID format'
+  }),
+  sessionId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+    'string.pattern.base': 'Invalid session ID format'
+  })
+});
+
+// Params schema for an image of a product
+const productImageParamSchema = Joi.object({
+  id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+    'string.pattern.base': 'Invalid ID format'
+  }),
+  imageId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+    'string.pattern.base': 'Invalid image ID format'
+  })
+});
+
+// Params schema for a price schedule of a product
+const priceScheduleParamSchema = Joi.object({
+  id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+    'string.pattern.base': 'Invalid ID format'
+  }),
+  scheduleId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+    'string.pattern.base': 'Invalid schedule ID format'
+  })
+});
+
 // Params schema for productId in route params
 const productIdParamSchema = Joi.object({
   productId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
@@ -138,18 +640,23 @@ const productIdParamSchema = Joi.object({
 });
 
 // Validation middleware factory
+// Async so schemas can run database checks with .external(); they see the route params as context
 const validate = (schema, property = 'body') => {
-  return (req, res, next) => {
-    const { error } = schema.validate(req[property], { abortEarly: false });
-    
-    if (error) {
+  return async (req, res, next) => {
+    try {
+      await schema.validateAsync(req[property], { abortEarly: false, context: { params: req.params } });
+    } catch (error) {
+      if (!Joi.isError(error)) {
+        return next(error);
+      }
+
       const errorMessage = error.details.map(detail => detail.message).join(', ');
       return res.status(400).json({
         status: 'error',
         message: errorMessage
       });
     }
-    
+
     next();
   };
 };
@@ -157,16 +664,62 @@ const validate = (schema, property = 'body') => {
 module.exports = {
   registerSchema,
   loginSchema,
+  refreshTokenSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  changeEmailSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  twoFactorDisableSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  adminInvitationSchema,
+  acceptInvitationSchema,
+  roleSchema,
+  roleUpdateSchema,
+  userRoleUpdateSchema,
+  userStatusUpdateSchema,
+  apiKeySchema,
   productSchema,
   productUpdateSchema,
+  categorySchema,
+  categoryUpdateSchema,
+  productImageUploadSchema,
+  productImageUpdateSchema,
+  productImageOrderSchema,
   cartItemSchema,
+  cartItemQuerySchema,
   checkoutSchema,
   orderStatusUpdateSchema,
   productQuerySchema,
+  productSuggestSchema,
+  productDeleteQuerySchema,
+  priceScheduleSchema,
+  priceHistoryQuerySchema,
+  reviewSchema,
+  reviewUpdateSchema,
+  stockSubscriptionSchema,
+  reviewModerationSchema,
+  reviewQuerySchema,
+  adminReviewQuerySchema,
   orderQuerySchema,
+  adminProductQuerySchema,
+  loginAttemptQuerySchema,
+  auditLogQuerySchema,
+  stockMovementQuerySchema,
+  stockAdjustmentSchema,
+  lowStockQuerySchema,
+  reconcileSchema,
+  productImportQuerySchema,
+  eraseUserSchema,
+  deleteAccountSchema,
   paginationSchema,
   mongoIdSchema,
+  userSessionParamSchema,
   productIdParamSchema,
+  productImageParamSchema,
+  priceScheduleParamSchema,
   validate
 };
 
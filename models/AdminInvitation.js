@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const adminInvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false // Never expose the invitation token hash
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+adminInvitationSchema.index({ tokenHash: 1 }, { unique: true });
+adminInvitationSchema.index({ email: 1, createdAt: -1 });
+
+// Method to check if invitation can still be accepted
+adminInvitationSchema.methods.isPending = function() {
+  return !this.acceptedAt && !this.revokedAt && new Date() < this.expiresAt;
+};
+
+module.exports = mongoose.model('AdminInvitation', adminInvitationSchema);
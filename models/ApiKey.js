@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Role = require('./Role');
+
+const KEY_PREFIX = 'rk_';
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: true // First characters of the key, shown so admins can tell keys apart
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false // Never expose the key hash
+  },
+  permissions: [{
+    type: String,
+    enum: {
+      values: Role.PERMISSIONS,
+      message: '{VALUE} is not a valid permission'
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ createdBy: 1, createdAt: -1 });
+
+// Hash an API key for storage and lookup
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Generate a new random API key together with its hash and display prefix
+apiKeySchema.statics.generateKey = function() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  return {
+    key,
+    keyHash: this.hashKey(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 8)
+  };
+};
+
+// Method to check if key can still be used
+apiKeySchema.methods.isValid = function() {
+  return !this.revokedAt && (!this.expiresAt || new Date() < this.expiresAt);
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -6,6 +6,10 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   quantity: {
     type: Number,
     required: true,
@@ -22,6 +26,21 @@ const cartSchema = new mongoose.Schema({
     unique: true
   },
   items: [cartItemSchema],
+  // Messages about changes the shopper didn't make, e.g. products removed because they were archived
+  notices: [{
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    message: {
+      type: String,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   totalItems: {
     type: Number,
     default: 0
@@ -50,7 +69,8 @@ cartSchema.pre('save', async function(next) {
     for (const item of this.items) {
       const product = await Product.findById(item.productId);
       if (product) {
-        totalAmount += product.price * item.quantity;
+        // Price right now, so a running sale is applied
+        totalAmount += product.getPrice(item.variantId) * item.quantity;
         totalItems += item.quantity;
       }
     }
@@ -63,37 +83,58 @@ cartSchema.pre('save', async function(next) {
   }
 });
 
+// Check whether a cart item is for the given product and variant
+const isSameItem = (item, productId, variantId) => {
+  const itemProductId = item.productId._id || item.productId;
+  return itemProductId.toString() === productId.toString()
+    && String(item.variantId || '') === String(variantId || '');
+};
+
+// Method to find an item in the cart
+cartSchema.methods.findItem = function(productId, variantId = null) {
+  return this.items.find(item => isSameItem(item, productId, variantId));
+};
+
 // Method to add item to cart
-cartSchema.methods.addItem = function(productId, quantity) {
-  const existingItem = this.items.find(item => item.productId.toString() === productId.toString());
+cartSchema.methods.addItem = function(productId, quantity, variantId = null) {
+  const existingItem = this.findItem(productId, variantId);
   
   if (existingItem) {
     existingItem.quantity += quantity;
   } else {
-    this.items.push({ productId, quantity });
+    this.items.push({ productId, variantId, quantity });
   }
   
   return this.save();
 };
 
 // Method to remove item from cart
-cartSchema.methods.removeItem = function(productId) {
-  this.items = this.items.filter(item => item.productId.toString() !== productId.toString());
+cartSchema.methods.removeItem = function(productId, variantId = null) {
+  this.items = this.items.filter(item => !isSameItem(item, productId, variantId));
   return this.save();
 };
 
 // Method to update item quantity
-cartSchema.methods.updateItemQuantity = function(productId, quantity) {
-  const item = this.items.find(item => item.productId.toString() === productId.toString());
+cartSchema.methods.updateItemQuantity = function(productId, quantity, variantId = null) {
+  const item = this.findItem(productId, variantId);
   if (item) {
     if (quantity <= 0) {
-      return this.removeItem(productId);
+      return this.removeItem(productId, variantId);
     }
     item.quantity = quantity;
   }
   return this.save();
 };
 
+// Method to drop a product that can no longer be bought, leaving a notice for the shopper
+cartSchema.methods.removeUnavailableProduct = function(productId, productName) {
+  this.items = this.items.filter(item => !item.productId || (item.productId._id || item.productId).toString() !== productId.toString());
+  this.notices.push({
+    productId,
+    message: `${productName || 'A product'} is no longer available and was removed from your cart`
+  });
+};
+
 // Method to clear cart
 cartSchema.methods.clearCart = function() {
   this.items = [];
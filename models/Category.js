@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// Lowercase URL-friendly form of a name, e.g. "Home & Garden" -> "home-garden"
+const slugify = (text) => {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+const ATTRIBUTE_TYPES = ['STRING', 'NUMBER', 'BOOLEAN', 'ENUM'];
+
+// A typed specification of the products in a category and its subcategories, e.g. battery life in hours
+const attributeDefinitionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Attribute key is required'],
+    match: [/^[a-z0-9_]{1,30}$/, 'Attribute key may only contain lowercase letters, numbers and underscores'] // e.g. battery_life
+  },
+  name: {
+    type: String,
+    required: [true, 'Attribute name is required'],
+    trim: true,
+    maxlength: [50, 'Attribute name cannot exceed 50 characters'] // e.g. "Battery life"
+  },
+  type: {
+    type: String,
+    enum: ATTRIBUTE_TYPES,
+    required: true
+  },
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Unit cannot exceed 20 characters'] // e.g. "hours"
+  },
+  values: [{
+    type: String,
+    trim: true // Allowed values of ENUM attributes
+  }],
+  required: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+  slug: {
+    type: String,
+    required: [true, 'Category slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and hyphens']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category' // From the root down to the parent
+  }],
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  attributes: [attributeDefinitionSchema], // Subcategories inherit these and may override them by key
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+categorySchema.index({ parentId: 1, sortOrder: 1, name: 1 });
+categorySchema.index({ ancestors: 1 });
+
+// Derive the slug from the name when none was given
+categorySchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+// Attribute keys are unique within a category and only ENUM attributes list their values
+categorySchema.pre('validate', function(next) {
+  const keys = new Set();
+  for (const attribute of this.attributes) {
+    if (keys.has(attribute.key)) {
+      this.invalidate('attributes', `Attribute ${attribute.key} is defined more than once`);
+    }
+    keys.add(attribute.key);
+
+    if (attribute.type === 'ENUM' && attribute.values.length === 0) {
+      this.invalidate('attributes', `Attribute ${attribute.key} needs a list of values`);
+    }
+    if (attribute.type !== 'ENUM' && attribute.values.length > 0) {
+      this.invalidate('attributes', `Attribute ${attribute.key} is not an ENUM and cannot have a list of values`);
+    }
+  }
+  next();
+});
+
+// Virtual for the depth in the tree (0 for top-level categories)
+categorySchema.virtual('depth').get(function() {
+  return this.ancestors.length;
+});
+
+categorySchema.set('toJSON', { virtuals: true });
+
+const Category = mongoose.model('Category', categorySchema);
+Category.slugify = slugify;
+Category.ATTRIBUTE_TYPES = ATTRIBUTE_TYPES;
+
+module.exports = Category;
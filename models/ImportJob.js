@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Keep the stored error list bounded for very large files
+const MAX_STORED_ERRORS = 500;
+
+const importJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['PRODUCT_CSV'],
+    default: 'PRODUCT_CSV'
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'RUNNING', 'COMPLETED', 'FAILED'],
+    default: 'PENDING'
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  createdCount: {
+    type: Number,
+    default: 0
+  },
+  updatedCount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  rowErrors: [{
+    _id: false,
+    row: Number,
+    sku: String,
+    name: String,
+    messages: [String]
+  }],
+  failureReason: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+importJobSchema.index({ createdBy: 1, createdAt: -1 });
+
+// Virtual for progress percentage
+importJobSchema.virtual('progress').get(function() {
+  return this.totalRows === 0 ? 100 : Math.round((this.processedRows / this.totalRows) * 100);
+});
+
+importJobSchema.set('toJSON', { virtuals: true });
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+ImportJob.MAX_STORED_ERRORS = MAX_STORED_ERRORS;
+
+module.exports = ImportJob;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [
+      'SUCCESS',
+      'INVALID_PASSWORD',
+      'INVALID_2FA_CODE',
+      'UNKNOWN_EMAIL',
+      'ACCOUNT_DEACTIVATED',
+      'ACCOUNT_LOCKED',
+      'THROTTLED'
+    ],
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ userId: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+// Keep attempt history for 90 days
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 
+// A component of a bundle as it was when the order was placed
+const orderItemComponentSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'] // Per bundle
+  }
+}, { _id: false });
+
 const orderItemSchema = new mongoose.Schema({
   productId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -16,9 +37,30 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: [0, 'Price cannot be negative']
   },
+  compareAtPrice: {
+    type: Number,
+    default: null // Original price when the item was bought on sale
+  },
   productName: {
     type: String,
     required: true
+  },
+  productImage: {
+    type: String // Primary image when the order was placed
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String
+  },
+  variantLabel: {
+    type: String // e.g. "Size: M / Color: Black"
+  },
+  components: {
+    type: [orderItemComponentSchema], // Set for bundles; their stock moves on these products
+    default: undefined
   }
 });
 
@@ -83,6 +125,7 @@ orderSchema.pre('validate', function(next) {
 // Index for better query performance
 orderSchema.index({ userId: 1, createdAt: -1 });
 orderSchema.index({ status: 1 });
+orderSchema.index({ 'items.productId': 1 });
 orderSchema.index({ orderNumber: 1 }, { unique: true });
 
 // Method to check if order is expired
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const PRICE_CHANGE_TYPES = [
+  'PRICE_CHANGE', // Regular price changed by an edit, an import or a scheduled permanent change
+  'SALE_STARTED',
+  'SALE_ENDED'
+];
+
+const priceHistorySchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String
+  },
+  type: {
+    type: String,
+    enum: PRICE_CHANGE_TYPES,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true // Price customers pay from this point on
+  },
+  previousPrice: {
+    type: Number,
+    default: null // Null when the product or variant was just created
+  },
+  compareAtPrice: {
+    type: Number,
+    default: null // Original price shown during a sale
+  },
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId // Price schedule that caused the change
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Who made a manual change
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+priceHistorySchema.index({ productId: 1, createdAt: -1 });
+priceHistorySchema.index({ productId: 1, variantId: 1, createdAt: -1 });
+
+const PriceHistory = mongoose.model('PriceHistory', priceHistorySchema);
+PriceHistory.PRICE_CHANGE_TYPES = PRICE_CHANGE_TYPES;
+
+module.exports = PriceHistory;
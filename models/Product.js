@@ -1,5 +1,220 @@
 const mongoose = require('mongoose');
 
+// Lowercase words without accents, e.g. "Café Crème 2-Pack" -> ["cafe", "creme", "2", "pack"]
+const tokenize = (text) => {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop accents
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+};
+
+// A purchasable variation of a product, e.g. "Size: M / Color: Black"
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [64, 'SKU cannot exceed 64 characters']
+  },
+  options: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  stock: {
+    type: Number,
+    required: true,
+    min: [0, 'Stock cannot be negative'],
+    default: 0
+  },
+  reservedStock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Virtual for the price a variant sells for right now
+variantSchema.virtual('currentPrice').get(function() {
+  return this.ownerDocument().getPrice(this._id);
+});
+
+// Virtual for available stock of a variant
+variantSchema.virtual('availableStock').get(function() {
+  return this.stock - this.reservedStock;
+});
+
+// Human readable label built from the option values
+variantSchema.virtual('label').get(function() {
+  return Array.from(this.options.entries()).map(([name, value]) => `${name}: ${value}`).join(' / ');
+});
+
+variantSchema.set('toJSON', { virtuals: true });
+
+// A price planned ahead: a sale from startsAt to endsAt, or a permanent price change from startsAt when endsAt is empty
+const priceScheduleSchema = new mongoose.Schema({
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null // Applies to the product and all of its variants
+  },
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  percentOff: {
+    type: Number,
+    min: [1, 'Discount must be between 1 and 99 percent'],
+    max: [99, 'Discount must be between 1 and 99 percent']
+  },
+  compareAtPrice: {
+    type: Number,
+    min: [0, 'Price cannot be negative'] // Original price shown next to the sale price; defaults to the regular price
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Label cannot exceed 50 characters']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['SCHEDULED', 'ACTIVE'],
+    default: 'SCHEDULED' // Moved on by the price scheduler, which also removes ended schedules
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const sameId = (a, b) => String(a || '') === String(b || '');
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// The schedule in effect at a moment: variant-specific schedules win over product-wide ones,
+// then the one that started last
+const findActiveSchedule = (product, variantId, at) => {
+  return (product.priceSchedules || [])
+    .filter(schedule => schedule.startsAt <= at && (!schedule.endsAt || at < schedule.endsAt))
+    .filter(schedule => !schedule.variantId || sameId(schedule.variantId, variantId))
+    .sort((a, b) => Boolean(b.variantId) - Boolean(a.variantId) || b.startsAt - a.startsAt)[0] || null;
+};
+
+const scheduledPrice = (schedule, regularPrice) => {
+  if (schedule.price !== undefined && schedule.price !== null) {
+    return schedule.price;
+  }
+  return roundPrice(regularPrice * (1 - schedule.percentOff / 100));
+};
+
+// Price of a variant (or the product) at a moment, with the original price to show while it is reduced
+const priceAt = (product, variantId, at = new Date()) => {
+  const variant = variantId ? (product.variants || []).find(item => sameId(item._id, variantId)) : null;
+  const regularPrice = variant ? variant.price : product.price;
+  const schedule = findActiveSchedule(product, variantId, at);
+
+  if (!schedule) {
+    return { price: regularPrice, regularPrice, compareAtPrice: null, endsAt: null };
+  }
+
+  const price = scheduledPrice(schedule, regularPrice);
+  const compareAtPrice = schedule.compareAtPrice || regularPrice;
+  return {
+    price,
+    regularPrice,
+    compareAtPrice: compareAtPrice > price ? compareAtPrice : null,
+    endsAt: schedule.endsAt
+  };
+};
+
+// Current price range over the variants (or the product), whether any of them is on sale and when the sale ends
+const currentPricing = (product, at = new Date()) => {
+  const variants = product.variants || [];
+  const prices = variants.length > 0
+    ? variants.map(variant => priceAt(product, variant._id, at))
+    : [priceAt(product, null, at)];
+
+  const cheapest = prices.reduce((min, item) => (item.price < min.price ? item : min));
+  const saleEnds = prices.filter(item => item.compareAtPrice !== null && item.endsAt).map(item => item.endsAt.getTime());
+
+  return {
+    priceRange: {
+      min: cheapest.price,
+      max: Math.max(...prices.map(item => item.price))
+    },
+    compareAtPrice: cheapest.compareAtPrice,
+    onSale: prices.some(item => item.compareAtPrice !== null),
+    saleEndsAt: saleEnds.length > 0 ? new Date(Math.min(...saleEnds)) : null
+  };
+};
+
+// A product sold as part of a bundle; the bundle's stock is derived from its components
+const bundleItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String // SKU of the component variant, for order records
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  }
+}, { _id: false });
+
+// An uploaded image with its generated sizes
+const productImageSchema = new mongoose.Schema({
+  urls: {
+    original: String,
+    thumbnail: String,
+    small: String,
+    medium: String
+  },
+  storageKeys: [String], // Stored files, removed when the image is deleted
+  altText: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alt text cannot exceed 200 characters']
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  contentType: String,
+  width: Number,
+  height: Number,
+  fileSize: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -8,11 +223,26 @@ const productSchema = new mongoose.Schema({
     minlength: [2, 'Product name must be at least 2 characters'],
     maxlength: [100, 'Product name cannot exceed 100 characters']
   },
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [64, 'SKU cannot exceed 64 characters'] // Variants carry their own SKUs
+  },
   price: {
     type: Number,
     required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative'] // Lowest variant price when the product has variants
+  },
+  maxPrice: {
+    type: Number,
     min: [0, 'Price cannot be negative']
   },
+  currentPrice: {
+    type: Number,
+    min: [0, 'Price cannot be negative'] // Lowest price after scheduled prices, for filtering and sorting
+  },
+  priceSchedules: [priceScheduleSchema],
   description: {
     type: String,
     required: [true, 'Description is required'],
@@ -23,25 +253,81 @@ const productSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Stock is required'],
     min: [0, 'Stock cannot be negative'],
-    default: 0
+    default: 0 // Sum of variant stock when the product has variants; bundles available from their components
   },
   reservedStock: {
     type: Number,
     default: 0,
     min: [0, 'Reserved stock cannot be negative']
   },
+  reorderThreshold: {
+    type: Number,
+    default: null, // Admins are alerted when available stock drops to this level; null turns alerts off
+    min: [0, 'Reorder threshold cannot be negative']
+  },
+  lowStockAlertedAt: {
+    type: Date,
+    default: null // Set when an alert was sent, cleared once stock is back above the threshold
+  },
+  options: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [30, 'Option name cannot exceed 30 characters']
+    },
+    values: [{
+      type: String,
+      trim: true,
+      maxlength: [50, 'Option value cannot exceed 50 characters']
+    }]
+  }],
+  variants: [variantSchema],
+  bundleItems: [bundleItemSchema], // Set for bundles, which have no stock of their own
+  attributes: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed // Values by attribute key; the category defines their names, types and units
+  },
   category: {
     type: String,
     trim: true,
-    maxlength: [50, 'Category cannot exceed 50 characters']
+    maxlength: [50, 'Category cannot exceed 50 characters'] // Name of the category, kept in sync with categoryId
+  },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
   },
   imageUrl: {
     type: String,
-    trim: true
+    trim: true // External image, used when no image has been uploaded
+  },
+  images: [productImageSchema], // In display order
+  averageRating: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5 // Over approved reviews, kept up to date by the review service
+  },
+  reviewCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  searchTokens: {
+    type: [String],
+    select: false // Words of the name and SKUs, for autocomplete and typo-tolerant search
   },
   isActive: {
     type: Boolean,
     default: true
+  },
+  archivedAt: {
+    type: Date,
+    default: null // Archived products stay inactive and are kept for order history
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
@@ -52,13 +338,209 @@ productSchema.virtual('availableStock').get(function() {
   return this.stock - this.reservedStock;
 });
 
+// Virtual for archived products
+productSchema.virtual('isArchived').get(function() {
+  return Boolean(this.archivedAt);
+});
+
+productSchema.virtual('isBundle').get(function() {
+  return Boolean(this.bundleItems && this.bundleItems.length > 0);
+});
+
+// Virtual for the current price range across variants, including sales
+productSchema.virtual('priceRange').get(function() {
+  return currentPricing(this).priceRange;
+});
+
+// Virtual for the original price shown while on sale (null otherwise)
+productSchema.virtual('compareAtPrice').get(function() {
+  return currentPricing(this).compareAtPrice;
+});
+
+productSchema.virtual('onSale').get(function() {
+  return currentPricing(this).onSale;
+});
+
+productSchema.virtual('saleEndsAt').get(function() {
+  return currentPricing(this).saleEndsAt;
+});
+
+// Primary uploaded image, if any
+productSchema.virtual('primaryImage').get(function() {
+  return this.images.find(image => image.isPrimary) || this.images[0] || null;
+});
+
+// Exactly one uploaded image is primary; the first one unless another was chosen
+productSchema.pre('validate', function(next) {
+  if (this.images.length > 0) {
+    const primary = this.images.find(image => image.isPrimary) || this.images[0];
+    this.images.forEach(image => {
+      image.isPrimary = image === primary;
+    });
+  }
+  next();
+});
+
+// Check variant options and keep product-level price and stock in sync with the variants
+productSchema.pre('validate', function(next) {
+  if (this.bundleItems.length > 0 && (this.variants.length > 0 || this.options.length > 0)) {
+    this.invalidate('bundleItems', 'A bundle cannot have options or variants');
+    return next();
+  }
+
+  if (this.variants.length === 0) {
+    this.maxPrice = this.price;
+    return next();
+  }
+
+  const prices = this.variants.map(variant => variant.price);
+  this.price = Math.min(...prices);
+  this.maxPrice = Math.max(...prices);
+  this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  this.reservedStock = this.variants.reduce((sum, variant) => sum + variant.reservedStock, 0);
+
+  const seenSkus = new Set();
+  const seenCombinations = new Set();
+
+  for (const variant of this.variants) {
+    for (const option of this.options) {
+      const value = variant.options.get(option.name);
+      if (!value || !option.values.includes(value)) {
+        this.invalidate('variants', `Variant ${variant.sku} needs a valid value for option "${option.name}"`);
+        return next();
+      }
+    }
+
+    const combination = this.options.map(option => variant.options.get(option.name)).join('|');
+    if (seenSkus.has(variant.sku) || seenCombinations.has(combination)) {
+      this.invalidate('variants', `Duplicate variant ${variant.sku}`);
+      return next();
+    }
+    seenSkus.add(variant.sku);
+    seenCombinations.add(combination);
+  }
+
+  next();
+});
+
+// Check scheduled prices and keep the current price in sync with them
+productSchema.pre('validate', function(next) {
+  for (const schedule of this.priceSchedules) {
+    const hasPrice = schedule.price !== undefined && schedule.price !== null;
+    if (hasPrice === (schedule.percentOff !== undefined && schedule.percentOff !== null)) {
+      this.invalidate('priceSchedules', 'A price schedule needs either a price or a percentage off');
+      return next();
+    }
+    if (schedule.endsAt && schedule.endsAt <= schedule.startsAt) {
+      this.invalidate('priceSchedules', 'A price schedule must end after it starts');
+      return next();
+    }
+    if (schedule.variantId && !this.variants.id(schedule.variantId)) {
+      this.invalidate('priceSchedules', `Variant ${schedule.variantId} not found`);
+      return next();
+    }
+  }
+
+  this.currentPrice = currentPricing(this).priceRange.min;
+  next();
+});
+
+// Keep the search words in sync with the name and SKUs
+productSchema.pre('validate', function(next) {
+  this.searchTokens = this.constructor.searchTokensFor(this);
+  next();
+});
+
+// Count saved and deleted products so the cached search vocabulary knows when to reload
+let searchRevision = 0;
+const bumpSearchRevision = () => {
+  searchRevision += 1;
+};
+productSchema.post('save', bumpSearchRevision);
+productSchema.post('deleteOne', { document: true, query: false }, bumpSearchRevision);
+
+// Method to find a variant by id
+productSchema.methods.getVariant = function(variantId) {
+  return variantId ? this.variants.id(variantId) : null;
+};
+
+// Price of the product or of one of its variants at a moment (now by default), including scheduled prices
+productSchema.methods.getPrice = function(variantId, at = new Date()) {
+  return priceAt(this, variantId, at).price;
+};
+
+// Original price to show next to a reduced price, or null when the price isn't reduced
+productSchema.methods.getCompareAtPrice = function(variantId, at = new Date()) {
+  return priceAt(this, variantId, at).compareAtPrice;
+};
+
+// Price without scheduled prices
+productSchema.methods.getRegularPrice = function(variantId) {
+  const variant = this.getVariant(variantId);
+  return variant ? variant.price : this.price;
+};
+
+// Available stock of the product or of one of its variants
+productSchema.methods.getAvailableStock = function(variantId) {
+  const variant = this.getVariant(variantId);
+  return variant ? variant.availableStock : this.availableStock;
+};
+
+// URL of the primary image in the given size, falling back to the external image URL
+productSchema.methods.getImageUrl = function(size = 'small') {
+  return this.primaryImage ? this.primaryImage.urls[size] : this.imageUrl;
+};
+
+// Add current pricing, availability and the primary image to a product returned by a lean query
+productSchema.statics.summarize = function(product) {
+  const { priceSchedules, ...fields } = product; // Upcoming prices are for product managers only
+  const images = product.images || [];
+  return {
+    ...fields,
+    primaryImage: images.find(image => image.isPrimary) || images[0] || null,
+    ...currentPricing(product),
+    availableStock: product.stock - product.reservedStock,
+    variantCount: product.variants ? product.variants.length : 0,
+    isBundle: Boolean(product.bundleItems && product.bundleItems.length > 0)
+  };
+};
+
+// Distinct words a product can be found by while typing
+productSchema.statics.searchTokensFor = function(product) {
+  const skus = [product.sku, ...(product.variants || []).map(variant => variant.sku)];
+  return [...new Set([product.name, ...skus].flatMap(tokenize))];
+};
+
+productSchema.statics.getSearchRevision = () => searchRevision;
+productSchema.statics.tokenize = tokenize;
+productSchema.statics.priceAt = priceAt;
+productSchema.statics.scheduledPrice = scheduledPrice;
+
 // Ensure virtual fields are serialized
 productSchema.set('toJSON', { virtuals: true });
 
 // Index for better query performance
 productSchema.index({ name: 'text', description: 'text' });
 productSchema.index({ price: 1 });
+productSchema.index({ currentPrice: 1 });
+productSchema.index({ reorderThreshold: 1 });
+productSchema.index({ 'bundleItems.productId': 1 });
+productSchema.index({ 'attributes.$**': 1 }); // Attribute filters
+productSchema.index({ 'priceSchedules.startsAt': 1 });
+productSchema.index({ 'priceSchedules.endsAt': 1 });
 productSchema.index({ category: 1 });
+productSchema.index({ categoryId: 1 });
+productSchema.index({ searchTokens: 1 });
+productSchema.index({ archivedAt: 1 });
+productSchema.index({ averageRating: -1, reviewCount: -1 });
+productSchema.index(
+  { sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
 
 module.exports = mongoose.model('Product', productSchema);
 
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const REVIEW_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+const reviewSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true // The delivered order the product was bought in
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'PENDING' // Only approved reviews are shown and counted in ratings
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  },
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Moderation note cannot exceed 500 characters'] // Shown to the author of a rejected review
+  }
+}, {
+  timestamps: true
+});
+
+// One review per user and product
+reviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+Review.STATUSES = REVIEW_STATUSES;
+
+module.exports = Review;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Every permission that can be granted to a role
+const PERMISSIONS = [
+  'orders:read',
+  'orders:update_status',
+  'products:write',
+  'inventory:manage',
+  'users:manage',
+  'roles:manage',
+  'api_keys:manage',
+  'reports:read',
+  'reviews:moderate'
+];
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z][A-Z0-9_]*$/, 'Role name may only contain letters, numbers and underscores'],
+    maxlength: [30, 'Role name cannot exceed 30 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: [{
+    type: String,
+    enum: {
+      values: PERMISSIONS,
+      message: '{VALUE} is not a valid permission'
+    }
+  }],
+  isBuiltIn: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+const Role = mongoose.model('Role', roleSchema);
+Role.PERMISSIONS = PERMISSIONS;
+
+module.exports = Role;
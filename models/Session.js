@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false // Never expose the refresh token hash
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    maxlength: [100, 'Revoked reason cannot exceed 100 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+// Let MongoDB remove sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if session can still be used
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && new Date() < this.expiresAt;
+};
+
+// Record activity on the session. Writes are throttled to once a minute per session.
+sessionSchema.methods.touch = function(ip) {
+  const now = new Date();
+  if (this.lastUsedAt && now - this.lastUsedAt < 60 * 1000 && this.ip === ip) {
+    return Promise.resolve();
+  }
+  this.lastUsedAt = now;
+  this.ip = ip;
+  return this.constructor.updateOne({ _id: this._id }, { lastUsedAt: now, ip });
+};
+
+// Method to revoke session
+sessionSchema.methods.revoke = function(reason = 'LOGOUT') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
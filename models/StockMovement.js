@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = [
+  'OPENING_BALANCE', // Stock a product already had when it entered the ledger
+  'RESERVATION',
+  'RELEASE',
+  'SALE',
+  'ADJUSTMENT',
+  'RESTOCK',
+  'RETURN'
+];
+
+const stockMovementSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  stockChange: {
+    type: Number,
+    default: 0 // Change to stock on hand
+  },
+  reservedChange: {
+    type: Number,
+    default: 0 // Change to stock held for pending orders
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Who made a manual change
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+stockMovementSchema.index({ productId: 1, variantId: 1, createdAt: -1 });
+stockMovementSchema.index({ orderId: 1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+
+// The ledger is append-only: movements are never changed or removed
+const rejectChange = function(next) {
+  next(new Error('Stock movements are append-only and cannot be modified'));
+};
+
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+  stockMovementSchema.pre(operation, rejectChange);
+}
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+StockMovement.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+module.exports = StockMovement;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A customer waiting for an out-of-stock product (or one of its variants) to be restocked
+const stockSubscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null // Any variant of the product
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One subscription per user, product and variant
+stockSubscriptionSchema.index({ userId: 1, productId: 1, variantId: 1 }, { unique: true });
+stockSubscriptionSchema.index({ productId: 1 });
+
+module.exports = mongoose.model('StockSubscription', stockSubscriptionSchema);
@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+const LOGIN_DELAY_AFTER_ATTEMPTS = 3; // Failures before progressive delays start
+const LOGIN_DELAY_BASE_SECONDS = 5;
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -25,17 +30,81 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['USER', 'ADMIN'],
-    default: 'USER'
+    uppercase: true,
+    trim: true,
+    default: 'USER' // Name of a Role document (built-in: ADMIN, USER, WAREHOUSE)
   },
   isActive: {
     type: Boolean,
     default: true
+  },
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String], // sha256 hashes of unused recovery codes
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  erasedAt: {
+    type: Date // Set when personal data was erased on request
   }
 }, {
   timestamps: true
 });
 
+// Indexes for token lookups
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -54,10 +123,76 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Seconds the user must wait before the next login attempt (lockout or progressive delay)
+userSchema.methods.getLoginRetryAfter = function() {
+  const now = Date.now();
+
+  if (this.lockUntil && this.lockUntil.getTime() > now) {
+    return Math.ceil((this.lockUntil.getTime() - now) / 1000);
+  }
+
+  if (this.failedLoginAttempts >= LOGIN_DELAY_AFTER_ATTEMPTS && this.lastFailedLoginAt) {
+    const delaySeconds = LOGIN_DELAY_BASE_SECONDS * Math.pow(2, this.failedLoginAttempts - LOGIN_DELAY_AFTER_ATTEMPTS);
+    const retryAt = this.lastFailedLoginAt.getTime() + delaySeconds * 1000;
+    if (retryAt > now) {
+      return Math.ceil((retryAt - now) / 1000);
+    }
+  }
+
+  return 0;
+};
+
+// Method to check if account is locked
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Record a failed login; locks the account once the limit is reached. Returns true when it locked.
+userSchema.methods.registerFailedLogin = async function() {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+
+  if (updated.failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+    this.lockUntil = new Date(Date.now() + LOGIN_LOCK_MINUTES * 60 * 1000);
+    this.failedLoginAttempts = 0;
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { lockUntil: this.lockUntil, failedLoginAttempts: 0 }
+    );
+    return true;
+  }
+
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  this.lastFailedLoginAt = updated.lastFailedLoginAt;
+  return false;
+};
+
+// Method to clear failed login tracking (successful login or admin unlock)
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } }
+  );
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.emailVerificationTokenHash;
+  delete userObject.emailVerificationExpires;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorPendingSecret;
+  delete userObject.twoFactorRecoveryCodes;
+  delete userObject.twoFactorLastUsedStep;
+  delete userObject.passwordResetTokenHash;
+  delete userObject.passwordResetExpires;
   return userObject;
 };
 
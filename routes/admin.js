@@ -3,18 +3,70 @@ const Order = require('../models/Order');
 const Payment = require('../models/Payment');
 const User = require('../models/User');
 const Product = require('../models/Product');
-const { authenticate, authorizeAdmin } = require('../middleware/auth');
-const { validate, orderQuerySchema, orderStatusUpdateSchema, mongoIdSchema } = require('../middleware/validation');
+const AdminInvitation = require('../models/AdminInvitation');
+const LoginAttempt = require('../models/LoginAttempt');
+const Role = require('../models/Role');
+const ApiKey = require('../models/ApiKey');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const StockMovement = require('../models/StockMovement');
+const PriceHistory = require('../models/PriceHistory');
+const ImportJob = require('../models/ImportJob');
+const Category = require('../models/Category');
+const Review = require('../models/Review');
+const { authenticate, authorizeAdmin, requirePermission, denyApiKey } = require('../middleware/auth');
+const {
+  validate,
+  orderQuerySchema,
+  adminProductQuerySchema,
+  orderStatusUpdateSchema,
+  mongoIdSchema,
+  adminInvitationSchema,
+  loginAttemptQuerySchema,
+  roleSchema,
+  roleUpdateSchema,
+  userRoleUpdateSchema,
+  userStatusUpdateSchema,
+  apiKeySchema,
+  userSessionParamSchema,
+  eraseUserSchema,
+  auditLogQuerySchema,
+  stockMovementQuerySchema,
+  stockAdjustmentSchema,
+  lowStockQuerySchema,
+  priceHistoryQuerySchema,
+  reconcileSchema,
+  productImportQuerySchema,
+  adminReviewQuerySchema,
+  reviewModerationSchema
+} = require('../middleware/validation');
 const { AppError } = require('../middleware/errorHandler');
+const {
+  revokeAllSessions,
+  generateRandomToken,
+  listActiveSessions,
+  formatSession
+} = require('../services/sessionService');
+const { addEmailJob } = require('../services/emailQueue');
+const { getRolePermissions } = require('../services/rbac');
+const { buildUserExport, eraseUser, recordAudit } = require('../services/privacy');
+const inventory = require('../services/inventory');
+const { getLowStockReport } = require('../services/stockAlerts');
+const { parseCsv } = require('../services/csv');
+const { buildTree } = require('../services/categories');
+const { validateHeaders, startImport, streamProductCsv } = require('../services/productImport');
+const { moderateReview, deleteReview } = require('../services/reviews');
 
 const router = express.Router();
 
-// All admin routes require admin authentication
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const ADMIN_INVITATION_EXPIRES_MS = 72 * 60 * 60 * 1000; // 72 hours
+
+// All admin routes require authentication; each route checks its own permission
 router.use(authenticate);
-router.use(authorizeAdmin);
 
 // GET /api/admin/orders - Get all orders with filtering
-router.get('/orders', validate(orderQuerySchema, 'query'), async (req, res, next) => {
+router.get('/orders', requirePermission('orders:read'), validate(orderQuerySchema, 'query'), async (req, res, next) => {
   try {
     const { page, limit, sort, order, status, userId } = req.query;
     
@@ -67,7 +119,7 @@ router.get('/orders', validate(orderQuerySchema, 'query'), async (req, res, next
 });
 
 // GET /api/admin/orders/:id - Get single order details
-router.get('/orders/:id', validate(mongoIdSchema, 'params'), async (req, res, next) => {
+router.get('/orders/:id', requirePermission('orders:read'), validate(mongoIdSchema, 'params'), async (req, res, next) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate('userId', 'name email')
@@ -99,7 +151,7 @@ router.get('/orders/:id', validate(mongoIdSchema, 'params'), async (req, res, ne
 });
 
 // PATCH /api/admin/orders/:id/status - Update order status
-router.patch('/orders/:id/status', validate(mongoIdSchema, 'params'), validate(orderStatusUpdateSchema), async (req, res, next) => {
+router.patch('/orders/:id/status', requirePermission('orders:update_status'), validate(mongoIdSchema, 'params'), validate(orderStatusUpdateSchema), async (req, res, next) => {
   try {
     const { status } = req.body;
     const orderId = req.params.id;
@@ -129,10 +181,21 @@ router.patch('/orders/:id/status', validate(mongoIdSchema, 'params'), validate(o
       });
     }
 
+    const previousStatus = order.status;
+
     // Update order status
     order.status = status;
     await order.save();
 
+    // Paid orders turn their reservation into a sale; cancelled orders give their stock back
+    if (status === 'PAID') {
+      await inventory.commit(order.items, { orderId: order._id });
+    } else if (status === 'CANCELLED' && previousStatus === 'PENDING_PAYMENT') {
+      await inventory.release(order.items, { orderId: order._id });
+    } else if (status === 'CANCELLED' && previousStatus === 'PAID') {
+      await inventory.restoreSold(order.items, { orderId: order._id });
+    }
+
     res.status(200).json({
       status: 'success',
       message: 'Order status updated successfully',
@@ -151,7 +214,7 @@ router.patch('/orders/:id/status', validate(mongoIdSchema, 'params'), validate(o
 });
 
 // GET /api/admin/dashboard - Get dashboard statistics
-router.get('/dashboard', async (req, res, next) => {
+router.get('/dashboard', requirePermission('reports:read'), async (req, res, next) => {
   try {
     const [
       totalOrders,
@@ -203,7 +266,7 @@ router.get('/dashboard', async (req, res, next) => {
 });
 
 // GET /api/admin/users - Get all users
-router.get('/users', validate(orderQuerySchema, 'query'), async (req, res, next) => {
+router.get('/users', requirePermission('users:manage'), validate(orderQuerySchema, 'query'), async (req, res, next) => {
   try {
     const { page, limit, sort, order } = req.query;
     
@@ -245,10 +308,15 @@ router.get('/users', validate(orderQuerySchema, 'query'), async (req, res, next)
   }
 });
 
-// GET /api/admin/products - Get all products (including inactive)
-router.get('/products', validate(orderQuerySchema, 'query'), async (req, res, next) => {
+// GET /api/admin/products - Get all products (including inactive); ?archived=true|false filters archived products
+router.get('/products', requirePermission('products:write'), validate(adminProductQuerySchema, 'query'), async (req, res, next) => {
   try {
-    const { page, limit, sort, order } = req.query;
+    const { page, limit, sort, order, archived } = req.query;
+
+    const filter = {};
+    if (archived !== undefined) {
+      filter.archivedAt = archived === 'true' ? { $ne: null } : null;
+    }
     
     // Build sort object
     let sortObj = {};
@@ -262,18 +330,18 @@ router.get('/products', validate(orderQuerySchema, 'query'), async (req, res, ne
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Execute query
-    const products = await Product.find()
+    const products = await Product.find(filter)
       .sort(sortObj)
       .skip(skip)
       .limit(parseInt(limit))
       .lean();
 
-    const total = await Product.countDocuments();
+    const total = await Product.countDocuments(filter);
 
     res.status(200).json({
       status: 'success',
       data: {
-        products,
+        products: products.map(product => Product.summarize(product)),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / parseInt(limit)),
@@ -287,44 +355,345 @@ router.get('/products', validate(orderQuerySchema, 'query'), async (req, res, ne
   }
 });
 
-// PATCH /api/admin/users/:id/status - Update user status
-router.patch('/users/:id/status', validate(mongoIdSchema, 'params'), async (req, res, next) => {
+// GET /api/admin/categories - Get the full category tree (including inactive) with product counts
+router.get('/categories', requirePermission('products:write'), async (req, res, next) => {
   try {
-    const { isActive } = req.body;
-    const userId = req.params.id;
+    const [categories, counts] = await Promise.all([
+      Category.find().lean(),
+      Product.aggregate([
+        { $match: { categoryId: { $ne: null } } },
+        { $group: { _id: '$categoryId', count: { $sum: 1 } } }
+      ])
+    ]);
 
-    const user = await User.findById(userId);
-    
-    if (!user) {
+    const productCounts = new Map(counts.map(count => [count._id.toString(), count.count]));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        categories: buildTree(categories.map(category => ({
+          ...category,
+          productCount: productCounts.get(category._id.toString()) || 0 // Products directly in this category
+        })))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/reviews - Get reviews for moderation (oldest first), optionally by status or product
+router.get('/reviews', requirePermission('reviews:moderate'), validate(adminReviewQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const { page, limit, status, productId } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (productId) filter.productId = productId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const reviews = await Review.find(filter)
+      .populate('userId', 'name email')
+      .populate('productId', 'name')
+      .populate('moderatedBy', 'name email')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await Review.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        reviews,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/admin/reviews/:id/status - Approve or reject a review
+router.patch('/reviews/:id/status', requirePermission('reviews:moderate'), validate(mongoIdSchema, 'params'), validate(reviewModerationSchema), async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
       return res.status(404).json({
         status: 'error',
-        message: 'User not found'
+        message: 'Review not found'
       });
     }
 
-    // Prevent admin from deactivating themselves
-    if (user._id.toString() === req.user._id.toString()) {
+    await moderateReview(review, req.body, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Review ${review.status === 'APPROVED' ? 'approved' : 'rejected'} successfully`,
+      data: {
+        review
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admin/reviews/:id - Delete a review
+router.delete('/reviews/:id', requirePermission('reviews:moderate'), validate(mongoIdSchema, 'params'), async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Review not found'
+      });
+    }
+
+    await deleteReview(review);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/products/import - Create or update products from a CSV file (send ?dryRun=true to only validate)
+router.post('/products/import', requirePermission('products:write'), express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), validate(productImportQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
       return res.status(400).json({
         status: 'error',
-        message: 'Cannot deactivate your own account'
+        message: 'Please upload a CSV file with Content-Type text/csv'
       });
     }
 
-    // Update user status
-    user.isActive = isActive;
-    await user.save();
+    let parsed;
+    try {
+      parsed = parseCsv(req.body);
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    validateHeaders(parsed.headers);
+
+    if (parsed.rows.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'CSV file has no product rows'
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const { job, background } = await startImport({
+      rows: parsed.rows,
+      dryRun,
+      userId: req.user._id
+    });
+
+    if (background) {
+      return res.status(202).json({
+        status: 'success',
+        message: `Import of ${job.totalRows} rows started. Check its progress at /api/admin/products/import/${job._id}`,
+        data: {
+          job
+        }
+      });
+    }
 
     res.status(200).json({
       status: 'success',
-      message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+      message: dryRun ? 'Dry run completed. No products were changed.' : 'Import completed',
       data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          isActive: user.isActive,
-          updatedAt: user.updatedAt
+        job
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/products/import/:id - Get the progress and row errors of an import
+router.get('/products/import/:id', requirePermission('products:write'), validate(mongoIdSchema, 'params'), async (req, res, next) => {
+  try {
+    const job = await ImportJob.findById(req.params.id).populate('createdBy', 'name email');
+
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Import job not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        job
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/products/export - Download the full catalog (including inactive products) as CSV
+router.get('/products/export', requirePermission('products:write'), async (req, res, next) => {
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="products-${date}.csv"`);
+
+    await streamProductCsv(res);
+  } catch (error) {
+    // Headers are already sent once rows have been written
+    if (res.headersSent) {
+      console.error('Product export failed:', error);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+});
+
+// GET /api/admin/products/low-stock - Get products at or below their reorder threshold with suggested reorder quantities
+router.get('/products/low-stock', requirePermission('inventory:manage'), validate(lowStockQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const salesDays = parseInt(req.query.salesDays) || 30;
+    const coverDays = parseInt(req.query.coverDays) || 30;
+
+    const { products, total } = await getLowStockReport({ page, limit, salesDays, coverDays });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        products,
+        salesDays,
+        coverDays,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/products/:id/stock-movements - Get the stock movement history of a product
+router.get('/products/:id/stock-movements', requirePermission('inventory:manage'), validate(mongoIdSchema, 'params'), validate(stockMovementQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, type, variantId } = req.query;
+
+    const product = await Product.findById(req.params.id).select('name stock reservedStock').lean();
+
+    if (!product) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Product not found'
+      });
+    }
+
+    // Build filter
+    const filter = { productId: product._id };
+    if (type) {
+      filter.type = type;
+    }
+    if (variantId) {
+      filter.variantId = variantId;
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const movements = await StockMovement.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('userId', 'name email')
+      .populate('orderId', 'orderNumber status')
+      .lean();
+
+    const total = await StockMovement.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        product,
+        movements,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/products/:id/price-history - Get the price changes and sales of a product
+router.get('/products/:id/price-history', requirePermission('products:write'), validate(mongoIdSchema, 'params'), validate(priceHistoryQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, type, variantId } = req.query;
+
+    const product = await Product.findById(req.params.id).select('name price currentPrice priceSchedules').lean();
+
+    if (!product) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Product not found'
+      });
+    }
+
+    // Build filter
+    const filter = { productId: product._id };
+    if (type) {
+      filter.type = type;
+    }
+    if (variantId) {
+      filter.variantId = variantId;
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const history = await PriceHistory.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('userId', 'name email')
+      .lean();
+
+    const total = await PriceHistory.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        product,
+        history,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
         }
       }
     });
@@ -333,5 +702,844 @@ router.patch('/users/:id/status', validate(mongoIdSchema, 'params'), async (req,
   }
 });
 
+// POST /api/admin/products/:id/stock-adjustments - Record a manual stock change
+router.post('/products/:id/stock-adjustments', requirePermission('inventory:manage'), validate(mongoIdSchema, 'params'), validate(stockAdjustmentSchema), async (req, res, next) => {
+  try {
+    const { variantId, quantity, type = 'ADJUSTMENT', reason } = req.body;
+
+    const { product, movement } = await inventory.adjustStock(req.params.id, {
+      variantId,
+      quantity,
+      type,
+      reason,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Stock adjusted successfully',
+      data: {
+        product,
+        movement
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/products/:id/reconcile - Compare stock with the ledger and optionally correct it
+router.post('/products/:id/reconcile', requirePermission('inventory:manage'), validate(mongoIdSchema, 'params'), validate(reconcileSchema), async (req, res, next) => {
+  try {
+    const { product, openingBalanceRecorded, drift, applied } = await inventory.reconcile(req.params.id, {
+      apply: req.body.apply === true,
+      userId: req.user._id
+    });
+
+    let message = drift.length > 0 ? 'Stock differs from the ledger' : 'Stock matches the ledger';
+    if (openingBalanceRecorded) {
+      message = 'No ledger history found. Current stock was recorded as the opening balance.';
+    } else if (applied) {
+      message = 'Stock corrected from the ledger';
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message,
+      data: {
+        product: {
+          id: product._id,
+          name: product.name,
+          stock: product.stock,
+          reservedStock: product.reservedStock
+        },
+        drift,
+        applied
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/admin/users/:id/status - Update user status
+router.patch('/users/:id/status', requirePermission('users:manage'), validate(mongoIdSchema, 'params'), validate(userStatusUpdateSchema), async (req, res, next) => {
+  try {
+    const { isActive } = req.body;
+    const userId = req.params.id;
+
+    const user = await User.findById(userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    // Prevent admin from deactivating themselves
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cannot deactivate your own account'
+      });
+    }
+
+    if (user.role === 'ADMIN' && req.user.role !== 'ADMIN') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only admins can change the status of another admin'
+      });
+    }
+
+    // Update user status
+    user.isActive = isActive;
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          isActive: user.isActive,
+          updatedAt: user.updatedAt
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admin/users/:id/sessions - Revoke all sessions of a user
+router.delete('/users/:id/sessions', requirePermission('users:manage'), validate(mongoIdSchema, 'params'), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const revokedCount = await revokeAllSessions(user._id, { reason: 'ADMIN_REVOKED' });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User sessions revoked successfully',
+      data: {
+        revokedCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/users/:id/sessions - List a user's active sessions and devices
+router.get('/users/:id/sessions', requirePermission('users:manage'), validate(mongoIdSchema, 'params'), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const sessions = await listActiveSessions(user._id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sessions: sessions.map(session => formatSession(session, req.sessionId))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admin/users/:id/sessions/:sessionId - Revoke a single session of a user
+router.delete('/users/:id/sessions/:sessionId', requirePermission('users:manage'), validate(userSessionParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.sessionId, userId: req.params.id });
+
+    if (!session || !session.isValid()) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('ADMIN_REVOKED');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/users/:id/unlock - Clear a login lockout
+router.post('/users/:id/unlock', requirePermission('users:manage'), validate(mongoIdSchema, 'params'), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    await user.resetLoginAttempts();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User account unlocked successfully',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          failedLoginAttempts: user.failedLoginAttempts,
+          lockUntil: user.lockUntil
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/users/:id/2fa/reset - Remove a user's 2FA enrollment (e.g. lost device)
+router.post('/users/:id/2fa/reset', requirePermission('users:manage'), denyApiKey, validate(mongoIdSchema, 'params'), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    // Only an admin can strip the second factor from another admin
+    if (user.role === 'ADMIN' && req.user.role !== 'ADMIN') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only admins can reset two-factor authentication for admin accounts'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save();
+
+    // Sessions established with the old factor must log in again
+    const revokedCount = await revokeAllSessions(user._id, { reason: 'ADMIN_REVOKED' });
+
+    await recordAudit('TWO_FACTOR_RESET', req.user, user._id, { ip: req.ip, details: { revokedCount } });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication reset successfully',
+      data: {
+        revokedCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/users/:id/export - Export all personal data of a user
+router.get('/users/:id/export', requirePermission('users:manage'), denyApiKey, validate(mongoIdSchema, 'params'), async (req, res, next) => {
+  try {
+    const archive = await buildUserExport(req.params.id);
+    await recordAudit('USER_DATA_EXPORTED', req.user, req.params.id, { ip: req.ip });
+
+    res.set('Content-Disposition', `attachment; filename="personal-data-${req.params.id}.json"`);
+    res.status(200).json({
+      status: 'success',
+      data: archive
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/users/:id/erase - Erase a user's personal data (orders and payments are kept)
+router.post('/users/:id/erase', requirePermission('users:manage'), denyApiKey, validate(mongoIdSchema, 'params'), validate(eraseUserSchema), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot erase your own account'
+      });
+    }
+
+    if (user.role === 'ADMIN' && req.user.role !== 'ADMIN') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only admins can erase admin accounts'
+      });
+    }
+
+    const result = await eraseUser(user._id);
+    await recordAudit('USER_ERASED', req.user, user._id, {
+      ip: req.ip,
+      details: { reason: req.body.reason, ...result }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User personal data erased successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/audit-logs - Get the audit trail of privacy operations and 2FA resets
+router.get('/audit-logs', requirePermission('users:manage'), validate(auditLogQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, action, actorId, targetUserId } = req.query;
+
+    // Build filter
+    const filter = {};
+    if (action) {
+      filter.action = action;
+    }
+    if (actorId) {
+      filter.actorId = actorId;
+    }
+    if (targetUserId) {
+      filter.targetUserId = targetUserId;
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const logs = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        logs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/login-attempts - Get login attempt history
+router.get('/login-attempts', requirePermission('users:manage'), validate(loginAttemptQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, email, userId, ip, success } = req.query;
+
+    // Build filter
+    const filter = {};
+    if (email) {
+      filter.email = email.toLowerCase();
+    }
+    if (userId) {
+      filter.userId = userId;
+    }
+    if (ip) {
+      filter.ip = ip;
+    }
+    if (success !== undefined) {
+      filter.success = success === 'true' || success === true;
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const attempts = await LoginAttempt.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await LoginAttempt.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        attempts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/invitations - Invite a new administrator by email
+router.post('/invitations', authorizeAdmin, validate(adminInvitationSchema), async (req, res, next) => {
+  try {
+    const email = req.body.email.toLowerCase();
+
+    const existingAdmin = await User.findOne({ email, role: 'ADMIN' });
+    if (existingAdmin) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'User with this email is already an admin'
+      });
+    }
+
+    // Only the latest invitation for an email stays usable
+    await AdminInvitation.updateMany(
+      { email, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const { token, tokenHash } = generateRandomToken(32);
+    const invitation = await AdminInvitation.create({
+      email,
+      tokenHash,
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + ADMIN_INVITATION_EXPIRES_MS)
+    });
+
+    await addEmailJob({
+      type: 'ADMIN_INVITATION',
+      userEmail: email,
+      invitedByName: req.user.name,
+      invitationUrl: `${APP_URL}/dashboard?invitationToken=${token}`
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Invitation sent successfully',
+      data: {
+        invitation: {
+          id: invitation._id,
+          email: invitation.email,
+          expiresAt: invitation.expiresAt
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/invitations - Get all admin invitations
+router.get('/invitations', authorizeAdmin, async (req, res, next) => {
+  try {
+    const invitations = await AdminInvitation.find()
+      .sort({ createdAt: -1 })
+      .populate('invitedBy', 'name email')
+      .populate('acceptedBy', 'name email');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        invitations: invitations.map(invitation => ({
+          ...invitation.toObject(),
+          isPending: invitation.isPending()
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admin/invitations/:id - Revoke a pending invitation
+router.delete('/invitations/:id', authorizeAdmin, validate(mongoIdSchema, 'params'), async (req, res, next) => {
+  try {
+    const invitation = await AdminInvitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invitation not found'
+      });
+    }
+
+    if (!invitation.isPending()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only pending invitations can be revoked'
+      });
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/roles - Get all roles with their permissions
+router.get('/roles', requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    const [roles, userCounts] = await Promise.all([
+      Role.find().sort({ isBuiltIn: -1, name: 1 }).lean(),
+      User.aggregate([
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countsByRole = userCounts.reduce((acc, item) => {
+      acc[item._id] = item.count;
+      return acc;
+    }, {});
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        roles: roles.map(role => ({
+          ...role,
+          userCount: countsByRole[role.name] || 0
+        })),
+        availablePermissions: Role.PERMISSIONS
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/roles - Create a custom role
+router.post('/roles', requirePermission('roles:manage'), validate(roleSchema), async (req, res, next) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: permissions || []
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Role created successfully',
+      data: {
+        role
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/admin/roles/:id - Update a role's description or permissions
+router.put('/roles/:id', requirePermission('roles:manage'), validate(mongoIdSchema, 'params'), validate(roleUpdateSchema), async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Role not found'
+      });
+    }
+
+    if (role.name === 'ADMIN') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The ADMIN role always has every permission and cannot be modified'
+      });
+    }
+
+    // Prevent privilege escalation: nobody edits their own role or grants permissions they lack
+    if (role.name === req.user.role) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Cannot modify your own role'
+      });
+    }
+
+    if (req.body.permissions !== undefined) {
+      const actorPermissions = await getRolePermissions(req.user.role);
+      const notHeld = req.body.permissions.filter(permission => !actorPermissions.includes(permission));
+      if (notHeld.length > 0) {
+        return res.status(403).json({
+          status: 'error',
+          message: `Cannot grant permissions you do not have: ${notHeld.join(', ')}`
+        });
+      }
+    }
+
+    if (req.body.description !== undefined) {
+      role.description = req.body.description;
+    }
+    if (req.body.permissions !== undefined) {
+      role.permissions = req.body.permissions;
+    }
+    await role.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Role updated successfully',
+      data: {
+        role
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admin/roles/:id - Delete a custom role that is not assigned to anyone
+router.delete('/roles/:id', requirePermission('roles:manage'), validate(mongoIdSchema, 'params'), async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isBuiltIn) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const assignedUsers = await User.countDocuments({ role: role.name });
+    if (assignedUsers > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Role is assigned to ${assignedUsers} user(s). Reassign them before deleting the role.`
+      });
+    }
+
+    await role.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/admin/users/:id/role - Assign a role to a user
+router.patch('/users/:id/role', requirePermission('users:manage'), validate(mongoIdSchema, 'params'), validate(userRoleUpdateSchema), async (req, res, next) => {
+  try {
+    const roleName = req.body.role.toUpperCase();
+
+    if (roleName === 'ADMIN') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Admin access can only be granted through an invitation'
+      });
+    }
+
+    const [user, role] = await Promise.all([
+      User.findById(req.params.id),
+      Role.findOne({ name: roleName })
+    ]);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    if (!role) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Role ${roleName} does not exist`
+      });
+    }
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cannot change your own role'
+      });
+    }
+
+    if (user.role === 'ADMIN' && req.user.role !== 'ADMIN') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only admins can change the role of another admin'
+      });
+    }
+
+    // Prevent privilege escalation: only grant permissions you hold yourself
+    const actorPermissions = await getRolePermissions(req.user.role);
+    const notHeld = role.permissions.filter(permission => !actorPermissions.includes(permission));
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        status: 'error',
+        message: `Cannot assign a role with permissions you do not have: ${notHeld.join(', ')}`
+      });
+    }
+
+    user.role = role.name;
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User role updated successfully',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/api-keys - Create an API key (the key is only returned once)
+router.post('/api-keys', requirePermission('api_keys:manage'), denyApiKey, validate(apiKeySchema), async (req, res, next) => {
+  try {
+    const { name, permissions, expiresAt } = req.body;
+
+    // Keys cannot carry permissions the creator does not have
+    const notHeld = permissions.filter(permission => !req.permissions.includes(permission));
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        status: 'error',
+        message: `Cannot grant permissions you do not have: ${notHeld.join(', ')}`
+      });
+    }
+
+    const { key, keyHash, prefix } = ApiKey.generateKey();
+    const apiKey = await ApiKey.create({
+      name,
+      prefix,
+      keyHash,
+      permissions,
+      createdBy: req.user._id,
+      expiresAt: expiresAt || null
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'API key created successfully. Store the key now; it will not be shown again.',
+      data: {
+        apiKey: {
+          id: apiKey._id,
+          name: apiKey.name,
+          prefix: apiKey.prefix,
+          permissions: apiKey.permissions,
+          expiresAt: apiKey.expiresAt,
+          createdAt: apiKey.createdAt
+        },
+        key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/api-keys - Get all API keys
+router.get('/api-keys', requirePermission('api_keys:manage'), denyApiKey, async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        apiKeys: apiKeys.map(apiKey => ({
+          ...apiKey.toObject(),
+          isValid: apiKey.isValid()
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admin/api-keys/:id - Revoke an API key
+router.delete('/api-keys/:id', requirePermission('api_keys:manage'), denyApiKey, validate(mongoIdSchema, 'params'), async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'API key has already been revoked'
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
 
@@ -1,16 +1,114 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
 const Cart = require('../models/Cart');
-const { generateToken, authenticate } = require('../middleware/auth');
-const { validate, registerSchema, loginSchema } = require('../middleware/validation');
+const AdminInvitation = require('../models/AdminInvitation');
+const Session = require('../models/Session');
+const {
+  authenticate,
+  denyApiKey,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken
+} = require('../middleware/auth');
+const {
+  validate,
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  acceptInvitationSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  changeEmailSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  twoFactorDisableSchema,
+  mongoIdSchema,
+  deleteAccountSchema
+} = require('../middleware/validation');
 const { AppError } = require('../middleware/errorHandler');
+const {
+  getClientInfo,
+  createSession,
+  rotateRefreshToken,
+  listActiveSessions,
+  formatSession,
+  revokeSession,
+  revokeAllSessions,
+  generateRandomToken,
+  hashToken
+} = require('../services/sessionService');
+const { addEmailJob } = require('../services/emailQueue');
+const {
+  recordLoginAttempt,
+  assertLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../services/loginLockout');
+const { getRolePermissions } = require('../services/rbac');
+const totp = require('../services/totp');
+const { buildUserExport, eraseUser, recordAudit } = require('../services/privacy');
 
 const router = express.Router();
 
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const PASSWORD_RESET_EXPIRES_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_EXPIRES_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Throttle login attempts per IP + email combination (only failed attempts count)
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX, 10) || 10,
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => `${req.ip}:${String(req.body.email || '').toLowerCase()}`,
+  message: {
+    status: 'error',
+    message: 'Too many login attempts for this account from your IP, please try again later.'
+  }
+});
+
+// Check a TOTP code or a single-use recovery code for a user loaded with 2FA secrets
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = totp.verifyCode(user.twoFactorSecret, code, user.twoFactorLastUsedStep);
+    if (step === null) {
+      return false;
+    }
+    user.twoFactorLastUsedStep = step;
+    await user.save();
+    return true;
+  }
+
+  const codeHash = totp.hashRecoveryCode(recoveryCode);
+  if (!user.twoFactorRecoveryCodes.includes(codeHash)) {
+    return false;
+  }
+  user.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes.filter(hash => hash !== codeHash);
+  await user.save();
+  return true;
+};
+
+// Issue a verification token and queue the verification email (to the pending address during an email change)
+const sendVerificationEmail = async (user) => {
+  const { token, tokenHash } = generateRandomToken(32);
+  user.emailVerificationTokenHash = tokenHash;
+  user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRES_MS);
+  await user.save();
+
+  await addEmailJob({
+    type: 'EMAIL_VERIFICATION',
+    userEmail: user.pendingEmail || user.email,
+    userName: user.name,
+    verificationUrl: `${APP_URL}/api/auth/verify-email?token=${token}`
+  });
+};
+
 // POST /api/auth/register
 router.post('/register', validate(registerSchema), async (req, res, next) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -26,14 +124,17 @@ router.post('/register', validate(registerSchema), async (req, res, next) => {
       name,
       email,
       password,
-      role: role || 'USER' // Ensure role defaults to USER if not provided
+      role: 'USER' // Public registration never creates admins
     });
 
     // Create cart for the user
     await Cart.create({ userId: user._id });
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Ask the user to confirm their email address
+    await sendVerificationEmail(user);
+
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken } = await createSession(user._id, getClientInfo(req));
 
     res.status(201).json({
       status: 'success',
@@ -43,9 +144,11 @@ router.post('/register', validate(registerSchema), async (req, res, next) => {
           id: user._id,
           name: user.name,
           email: user.email,
-          role: user.role
+          role: user.role,
+          emailVerified: user.emailVerified
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -54,7 +157,7 @@ router.post('/register', validate(registerSchema), async (req, res, next) => {
 });
 
 // POST /api/auth/login
-router.post('/login', validate(loginSchema), async (req, res, next) => {
+router.post('/login', loginLimiter, validate(loginSchema), async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
@@ -62,6 +165,7 @@ router.post('/login', validate(loginSchema), async (req, res, next) => {
     const user = await User.findOne({ email }).select('+password');
     
     if (!user) {
+      await recordLoginAttempt(req, email, null, 'UNKNOWN_EMAIL');
       return res.status(401).json({
         status: 'error',
         message: 'Invalid email or password'
@@ -70,24 +174,43 @@ router.post('/login', validate(loginSchema), async (req, res, next) => {
 
     // Check if user is active
     if (!user.isActive) {
+      await recordLoginAttempt(req, email, user, 'ACCOUNT_DEACTIVATED');
       return res.status(401).json({
         status: 'error',
         message: 'Account is deactivated'
       });
     }
 
+    // Enforce lockout and progressive delays before checking the password
+    await assertLoginAllowed(req, res, user);
+
     // Compare password
     const isPasswordValid = await user.comparePassword(password);
     
     if (!isPasswordValid) {
+      await recordFailedLogin(req, user, 'INVALID_PASSWORD');
       return res.status(401).json({
         status: 'error',
         message: 'Invalid email or password'
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Accounts with 2FA finish logging in through /api/auth/2fa/verify
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        status: 'success',
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallengeToken(user._id)
+        }
+      });
+    }
+
+    await recordSuccessfulLogin(req, user);
+
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken } = await createSession(user._id, getClientInfo(req));
 
     res.status(200).json({
       status: 'success',
@@ -97,9 +220,11 @@ router.post('/login', validate(loginSchema), async (req, res, next) => {
           id: user._id,
           name: user.name,
           email: user.email,
-          role: user.role
+          role: user.role,
+          emailVerified: user.emailVerified
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -110,8 +235,31 @@ router.post('/login', validate(loginSchema), async (req, res, next) => {
 // GET /api/auth/me - Get current user profile
 router.get('/me', authenticate, async (req, res, next) => {
   try {
+    const permissions = await getRolePermissions(req.user.role);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user: req.user,
+        permissions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/auth/me - Update current user profile
+router.patch('/me', authenticate, denyApiKey, validate(updateProfileSchema), async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    req.user.name = name;
+    await req.user.save();
+
     res.status(200).json({
       status: 'success',
+      message: 'Profile updated successfully',
       data: {
         user: req.user
       }
@@ -121,9 +269,365 @@ router.get('/me', authenticate, async (req, res, next) => {
   }
 });
 
-// POST /api/auth/logout - Logout (client-side token removal)
+// PUT /api/auth/me/password - Change password
+router.put('/me/password', authenticate, denyApiKey, validate(changePasswordSchema), async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // Password is hashed by the pre('save') hook
+    user.password = newPassword;
+    await user.save();
+
+    // Keep the current session, log out everywhere else
+    const revokedCount = await revokeAllSessions(user._id, {
+      exceptSessionId: req.sessionId,
+      reason: 'PASSWORD_CHANGED'
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password changed successfully',
+      data: {
+        revokedSessions: revokedCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/auth/me/email - Request an email change (confirmed through the new address)
+router.put('/me/email', authenticate, denyApiKey, validate(changeEmailSchema), async (req, res, next) => {
+  try {
+    const { currentPassword } = req.body;
+    const email = req.body.email.toLowerCase();
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'New email must be different from the current email'
+      });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'User with this email already exists'
+      });
+    }
+
+    // The current email stays active until the new one is verified
+    user.pendingEmail = email;
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Verification email sent to the new address. Your email will change once it is verified.',
+      data: {
+        pendingEmail: user.pendingEmail
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/auth/me/export - Download a JSON archive of all personal data
+router.get('/me/export', authenticate, denyApiKey, async (req, res, next) => {
+  try {
+    const archive = await buildUserExport(req.user._id);
+    await recordAudit('USER_DATA_EXPORTED', req.user, req.user._id, { ip: req.ip });
+
+    res.set('Content-Disposition', `attachment; filename="personal-data-${req.user._id}.json"`);
+    res.status(200).json({
+      status: 'success',
+      data: archive
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/auth/me - Erase the account and anonymize personal data
+router.delete('/me', authenticate, denyApiKey, validate(deleteAccountSchema), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Password is incorrect'
+      });
+    }
+
+    // Keeps at least one admin able to manage the store
+    if (user.role === 'ADMIN') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Admin accounts must be erased by another administrator'
+      });
+    }
+
+    const result = await eraseUser(user._id);
+    await recordAudit('USER_ERASED', req.user, user._id, {
+      ip: req.ip,
+      details: { selfService: true, ...result }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Your account has been deleted and your personal data erased'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/setup - Start 2FA enrollment and get a provisioning URI
+router.post('/2fa/setup', authenticate, denyApiKey, async (req, res, next) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    req.user.twoFactorPendingSecret = secret;
+    await req.user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Scan the provisioning URI with an authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: totp.buildProvisioningUri(secret, req.user.email)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirm enrollment with a code and receive recovery codes
+router.post('/2fa/enable', authenticate, denyApiKey, validate(twoFactorCodeSchema), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Start enrollment with /api/auth/2fa/setup first'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabled = true;
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they will not be shown again.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/disable - Turn off 2FA (not allowed for admins when the policy is enforced)
+router.post('/2fa/disable', authenticate, denyApiKey, validate(twoFactorDisableSchema), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (process.env.REQUIRE_ADMIN_2FA === 'true' && user.role === 'ADMIN') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is required for admin accounts'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid || !(await verifySecondFactor(user, req.body))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace all recovery codes
+router.post('/2fa/recovery-codes', authenticate, denyApiKey, validate(twoFactorCodeSchema), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/verify - Complete a login with a TOTP or recovery code
+router.post('/2fa/verify', loginLimiter, validate(twoFactorLoginSchema), async (req, res, next) => {
+  try {
+    const userId = verifyTwoFactorChallengeToken(req.body.challengeToken);
+
+    const user = await User.findById(userId)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      throw new AppError('Invalid or expired challenge token', 401);
+    }
+
+    // The lockout also protects the second factor against guessing
+    await assertLoginAllowed(req, res, user);
+
+    if (!(await verifySecondFactor(user, req.body))) {
+      await recordFailedLogin(req, user, 'INVALID_2FA_CODE');
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid verification code'
+      });
+    }
+
+    await recordSuccessfulLogin(req, user);
+
+    const { token, refreshToken } = await createSession(user._id, getClientInfo(req));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified
+        },
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', validate(refreshTokenSchema), async (req, res, next) => {
+  try {
+    const { token, refreshToken } = await rotateRefreshToken(req.body.refreshToken, getClientInfo(req));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Token refreshed successfully',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/logout - Logout and revoke the current session
 router.post('/logout', authenticate, async (req, res, next) => {
   try {
+    await revokeSession(req.sessionId, 'LOGOUT');
+
     res.status(200).json({
       status: 'success',
       message: 'Logged out successfully'
@@ -133,4 +637,246 @@ router.post('/logout', authenticate, async (req, res, next) => {
   }
 });
 
+// GET /api/auth/sessions - List the devices where the account is logged in
+router.get('/sessions', authenticate, denyApiKey, async (req, res, next) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sessions: sessions.map(session => formatSession(session, req.sessionId))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Log out a single device
+router.delete('/sessions/:id', authenticate, denyApiKey, validate(mongoIdSchema, 'params'), async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!session || !session.isValid()) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('USER_REVOKED');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/auth/verify-email - Confirm email address from the verification link
+router.get('/verify-email', validate(verifyEmailSchema, 'query'), async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationTokenHash: hashToken(req.query.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      throw new AppError('Verification token is invalid or has expired', 400);
+    }
+
+    // Confirming a pending email change swaps in the new address
+    if (user.pendingEmail) {
+      const emailTaken = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+      if (emailTaken) {
+        throw new AppError('User with this email already exists', 400);
+      }
+      user.email = user.pendingEmail;
+      user.pendingEmail = undefined;
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/verify-email/resend - Send a new verification email
+router.post('/verify-email/resend', authenticate, denyApiKey, async (req, res, next) => {
+  try {
+    if (req.user.emailVerified && !req.user.pendingEmail) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/forgot-password - Request a password reset email
+router.post('/forgot-password', validate(forgotPasswordSchema), async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Only send the email for active accounts, but always respond the same way
+    if (user && user.isActive) {
+      const { token, tokenHash } = generateRandomToken(32);
+      user.passwordResetTokenHash = tokenHash;
+      user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MS);
+      await user.save();
+
+      await addEmailJob({
+        type: 'PASSWORD_RESET',
+        userEmail: user.email,
+        userName: user.name,
+        resetUrl: `${APP_URL}/dashboard?resetToken=${token}`
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password using a reset token
+router.post('/reset-password', validate(resetPasswordSchema), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user || !user.isActive) {
+      throw new AppError('Reset token is invalid or has expired', 400);
+    }
+
+    // Password is hashed by the pre('save') hook; the token is single-use
+    user.password = password;
+    user.emailVerified = true; // The reset link proves the user owns the inbox
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Log out everywhere, including any attacker holding a session
+    await revokeAllSessions(user._id, { reason: 'PASSWORD_RESET' });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password has been reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/accept-invitation - Create or promote an admin account from an invitation
+router.post('/accept-invitation', validate(acceptInvitationSchema), async (req, res, next) => {
+  try {
+    const { token, name, password } = req.body;
+
+    const invitation = await AdminInvitation.findOne({ tokenHash: hashToken(token) });
+
+    if (!invitation || !invitation.isPending()) {
+      throw new AppError('Invitation is invalid or has expired', 400);
+    }
+
+    let user = await User.findOne({ email: invitation.email }).select('+password');
+
+    if (user) {
+      // Existing accounts must prove ownership before being promoted, under the same lockout as /login
+      if (!user.isActive) {
+        throw new AppError('Account is deactivated', 401);
+      }
+
+      await assertLoginAllowed(req, res, user);
+
+      const isPasswordValid = await user.comparePassword(password);
+      if (!isPasswordValid) {
+        await recordFailedLogin(req, user, 'INVALID_PASSWORD');
+        throw new AppError('Invalid email or password', 401);
+      }
+
+      user.role = 'ADMIN';
+      user.emailVerified = true;
+      await user.save();
+
+      invitation.acceptedAt = new Date();
+      invitation.acceptedBy = user._id;
+      await invitation.save();
+
+      // No session here: the account logs in through /login, which enforces its two-factor authentication
+      return res.status(200).json({
+        status: 'success',
+        message: 'Invitation accepted successfully. Please log in to continue as an admin.',
+        data: {
+          loginRequired: true
+        }
+      });
+    } else {
+      if (!name) {
+        throw new AppError('Name is required', 400);
+      }
+      user = await User.create({
+        name,
+        email: invitation.email,
+        password,
+        role: 'ADMIN',
+        emailVerified: true // The invitation was delivered to this inbox
+      });
+    }
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+
+    const { token: accessToken, refreshToken } = await createSession(user._id, getClientInfo(req));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Invitation accepted successfully',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified
+        },
+        token: accessToken,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -2,11 +2,81 @@ const express = require('express');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const { authenticate, authorizeUser } = require('../middleware/auth');
-const { validate, cartItemSchema, mongoIdSchema, productIdParamSchema } = require('../middleware/validation');
+const { validate, cartItemSchema, cartItemQuerySchema, mongoIdSchema, productIdParamSchema } = require('../middleware/validation');
 const { AppError } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
+// Fields needed to show cart items, including variant and scheduled prices
+const CART_PRODUCT_FIELDS = 'name price imageUrl images variants priceSchedules archivedAt';
+
+// Shape a populated cart for API responses; prices and the total reflect sales running right now
+const formatCart = (cart) => {
+  const pricedAt = new Date();
+  const items = cart.items.map(item => {
+    const product = item.productId;
+    const variant = product.getVariant(item.variantId);
+    const price = product.getPrice(item.variantId, pricedAt);
+
+    return {
+      productId: product._id,
+      productName: product.name,
+      productPrice: price,
+      compareAtPrice: product.getCompareAtPrice(item.variantId, pricedAt),
+      productImage: product.getImageUrl(),
+      variantId: item.variantId,
+      sku: variant ? variant.sku : undefined,
+      variantLabel: variant ? variant.label : undefined,
+      quantity: item.quantity,
+      subtotal: price * item.quantity
+    };
+  });
+
+  return {
+    id: cart._id,
+    items,
+    totalItems: cart.totalItems,
+    totalAmount: items.reduce((sum, item) => sum + item.subtotal, 0),
+    notices: cart.notices.map(notice => notice.message)
+  };
+};
+
+// Drop items whose product was archived or deleted after it was added
+const removeUnavailableItems = (cart) => {
+  const unavailable = cart.items.filter(item => !item.productId || item.productId.archivedAt);
+  unavailable.forEach(item => {
+    const product = item.productId;
+    if (product) {
+      cart.removeUnavailableProduct(product._id, product.name);
+    } else {
+      cart.items = cart.items.filter(other => other !== item);
+      cart.notices.push({ message: 'A product in your cart is no longer available and was removed' });
+    }
+  });
+  return unavailable.length > 0;
+};
+
+// Resolve the variant a cart request refers to; products with variants need one
+const resolveVariant = (product, variantId) => {
+  if (product.variants.length === 0) {
+    if (variantId) {
+      throw new AppError('This product has no variants', 400);
+    }
+    return null;
+  }
+
+  if (!variantId) {
+    throw new AppError('Please select a variant for this product', 400);
+  }
+
+  const variant = product.getVariant(variantId);
+  if (!variant || !variant.isActive) {
+    throw new AppError('Variant not found or not available', 404);
+  }
+
+  return variant;
+};
+
 // All cart routes require user authentication
 router.use(authenticate);
 router.use(authorizeUser);
@@ -14,28 +84,25 @@ router.use(authorizeUser);
 // GET /api/cart - Get user's cart
 router.get('/', async (req, res, next) => {
   try {
-    let cart = await Cart.findOne({ userId: req.user._id }).populate('items.productId', 'name price imageUrl');
+    let cart = await Cart.findOne({ userId: req.user._id }).populate('items.productId', CART_PRODUCT_FIELDS);
     
     if (!cart) {
       cart = await Cart.create({ userId: req.user._id });
     }
 
+    removeUnavailableItems(cart);
+    const formatted = formatCart(cart);
+
+    // Notices are shown once
+    if (cart.notices.length > 0) {
+      cart.notices = [];
+      await cart.save();
+    }
+
     res.status(200).json({
       status: 'success',
       data: {
-        cart: {
-          id: cart._id,
-          items: cart.items.map(item => ({
-            productId: item.productId._id,
-            productName: item.productId.name,
-            productPrice: item.productId.price,
-            productImage: item.productId.imageUrl,
-            quantity: item.quantity,
-            subtotal: item.productId.price * item.quantity
-          })),
-          totalItems: cart.totalItems,
-          totalAmount: cart.totalAmount
-        }
+        cart: formatted
       }
     });
   } catch (error) {
@@ -47,6 +114,7 @@ router.get('/', async (req, res, next) => {
 router.post('/items', validate(cartItemSchema), async (req, res, next) => {
   try {
     const { productId, quantity } = req.body;
+    const variantId = req.body.variantId || null;
 
     // Check if product exists and is active
     const product = await Product.findById(productId);
@@ -57,11 +125,14 @@ router.post('/items', validate(cartItemSchema), async (req, res, next) => {
       });
     }
 
+    resolveVariant(product, variantId);
+
     // Check if enough stock is available
-    if (product.availableStock < quantity) {
+    const availableStock = product.getAvailableStock(variantId);
+    if (availableStock < quantity) {
       return res.status(400).json({
         status: 'error',
-        message: `Insufficient stock. Only ${product.availableStock} items available`
+        message: `Insufficient stock. Only ${availableStock} items available`
       });
     }
 
@@ -72,28 +143,16 @@ router.post('/items', validate(cartItemSchema), async (req, res, next) => {
     }
 
     // Add item to cart
-    await cart.addItem(productId, quantity);
+    await cart.addItem(productId, quantity, variantId);
 
     // Populate the updated cart
-    await cart.populate('items.productId', 'name price imageUrl');
+    await cart.populate('items.productId', CART_PRODUCT_FIELDS);
 
     res.status(200).json({
       status: 'success',
       message: 'Item added to cart successfully',
       data: {
-        cart: {
-          id: cart._id,
-          items: cart.items.map(item => ({
-            productId: item.productId._id,
-            productName: item.productId.name,
-            productPrice: item.productId.price,
-            productImage: item.productId.imageUrl,
-            quantity: item.quantity,
-            subtotal: item.productId.price * item.quantity
-          })),
-          totalItems: cart.totalItems,
-          totalAmount: cart.totalAmount
-        }
+        cart: formatCart(cart)
       }
     });
   } catch (error) {
@@ -102,10 +161,11 @@ router.post('/items', validate(cartItemSchema), async (req, res, next) => {
 });
 
 // PUT /api/cart/items/:productId - Update item quantity in cart
-router.put('/items/:productId', validate(productIdParamSchema, 'params'), async (req, res, next) => {
+router.put('/items/:productId', validate(productIdParamSchema, 'params'), validate(cartItemQuerySchema, 'query'), async (req, res, next) => {
   try {
     const { productId } = req.params;
     const { quantity } = req.body;
+    const variantId = req.query.variantId || null;
 
     if (!quantity || quantity < 0) {
       return res.status(400).json({
@@ -133,7 +193,7 @@ router.put('/items/:productId', validate(productIdParamSchema, 'params'), async
     }
 
     // Check if item exists in cart
-    const cartItem = cart.items.find(item => item.productId.toString() === productId);
+    const cartItem = cart.findItem(productId, variantId);
     if (!cartItem) {
       return res.status(404).json({
         status: 'error',
@@ -142,36 +202,25 @@ router.put('/items/:productId', validate(productIdParamSchema, 'params'), async
     }
 
     // Check stock availability for the new quantity
-    if (product.availableStock < quantity) {
+    const availableStock = product.getAvailableStock(variantId);
+    if (availableStock < quantity) {
       return res.status(400).json({
         status: 'error',
-        message: `Insufficient stock. Only ${product.availableStock} items available`
+        message: `Insufficient stock. Only ${availableStock} items available`
       });
     }
 
     // Update quantity
-    await cart.updateItemQuantity(productId, quantity);
+    await cart.updateItemQuantity(productId, quantity, variantId);
 
     // Populate the updated cart
-    await cart.populate('items.productId', 'name price imageUrl');
+    await cart.populate('items.productId', CART_PRODUCT_FIELDS);
 
     res.status(200).json({
       status: 'success',
       message: 'Cart updated successfully',
       data: {
-        cart: {
-          id: cart._id,
-          items: cart.items.map(item => ({
-            productId: item.productId._id,
-            productName: item.productId.name,
-            productPrice: item.productId.price,
-            productImage: item.productId.imageUrl,
-            quantity: item.quantity,
-            subtotal: item.productId.price * item.quantity
-          })),
-          totalItems: cart.totalItems,
-          totalAmount: cart.totalAmount
-        }
+        cart: formatCart(cart)
       }
     });
   } catch (error) {
@@ -180,9 +229,10 @@ router.put('/items/:productId', validate(productIdParamSchema, 'params'), async
 });
 
 // DELETE /api/cart/items/:productId - Remove item from cart
-router.delete('/items/:productId', validate(productIdParamSchema, 'params'), async (req, res, next) => {
+router.delete('/items/:productId', validate(productIdParamSchema, 'params'), validate(cartItemQuerySchema, 'query'), async (req, res, next) => {
   try {
     const { productId } = req.params;
+    const variantId = req.query.variantId || null;
 
     // Find cart
     const cart = await Cart.findOne({ userId: req.user._id });
@@ -194,28 +244,16 @@ router.delete('/items/:productId', validate(productIdParamSchema, 'params'), asy
     }
 
     // Remove item
-    await cart.removeItem(productId);
+    await cart.removeItem(productId, variantId);
 
     // Populate the updated cart
-    await cart.populate('items.productId', 'name price imageUrl');
+    await cart.populate('items.productId', CART_PRODUCT_FIELDS);
 
     res.status(200).json({
       status: 'success',
       message: 'Item removed from cart successfully',
       data: {
-        cart: {
-          id: cart._id,
-          items: cart.items.map(item => ({
-            productId: item.productId._id,
-            productName: item.productId.name,
-            productPrice: item.productId.price,
-            productImage: item.productId.imageUrl,
-            quantity: item.quantity,
-            subtotal: item.productId.price * item.quantity
-          })),
-          totalItems: cart.totalItems,
-          totalAmount: cart.totalAmount
-        }
+        cart: formatCart(cart)
       }
     });
   } catch (error) {
@@ -0,0 +1,120 @@
+const express = require('express');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { authenticate, requirePermission, optionalAuth } = require('../middleware/auth');
+const { validate, categorySchema, categoryUpdateSchema, mongoIdSchema } = require('../middleware/validation');
+const {
+  buildTree,
+  findCategory,
+  getDescendantIds,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../services/categories');
+const { getAttributeDefinitions } = require('../services/productAttributes');
+
+const router = express.Router();
+
+// GET /api/categories - Get the tree of active categories
+router.get('/', optionalAuth, async (req, res, next) => {
+  try {
+    const categories = await Category.find({ isActive: true }).lean();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        categories: buildTree(categories)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/categories/:id - Get a category by id or slug, with its breadcrumbs, subcategories and product attributes
+router.get('/:id', optionalAuth, async (req, res, next) => {
+  try {
+    const category = await findCategory(req.params.id);
+
+    if (!category || !category.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Category not found'
+      });
+    }
+
+    const [breadcrumbs, children, productCount, attributes] = await Promise.all([
+      Category.find({ _id: { $in: category.ancestors } }).select('name slug ancestors').lean(),
+      Category.find({ parentId: category._id, isActive: true }).sort({ sortOrder: 1, name: 1 }).lean(),
+      getDescendantIds(category).then(ids => Product.countDocuments({ categoryId: { $in: ids }, isActive: true })),
+      getAttributeDefinitions(category)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        category,
+        // Root first
+        breadcrumbs: breadcrumbs
+          .sort((a, b) => a.ancestors.length - b.ancestors.length)
+          .map(({ _id, name, slug }) => ({ _id, name, slug })),
+        children,
+        productCount,
+        // Including those inherited from parent categories
+        attributes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/categories - Create a category (requires products:write)
+router.post('/', authenticate, requirePermission('products:write'), validate(categorySchema), async (req, res, next) => {
+  try {
+    const category = await createCategory(req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Category created successfully',
+      data: {
+        category
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/categories/:id - Update or move a category (requires products:write)
+router.put('/:id', authenticate, requirePermission('products:write'), validate(mongoIdSchema, 'params'), validate(categoryUpdateSchema), async (req, res, next) => {
+  try {
+    const category = await updateCategory(req.params.id, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Category updated successfully',
+      data: {
+        category
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/categories/:id - Delete an empty category (requires products:write)
+router.delete('/:id', authenticate, requirePermission('products:write'), validate(mongoIdSchema, 'params'), async (req, res, next) => {
+  try {
+    await deleteCategory(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,12 @@ const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const Payment = require('../models/Payment');
 const Cart = require('../models/Cart');
-const Product = require('../models/Product');
-const { authenticate, authorizeUser } = require('../middleware/auth');
+const { authenticate, authorizeUser, requireVerifiedEmail } = require('../middleware/auth');
 const { validate, checkoutSchema, orderQuerySchema, mongoIdSchema } = require('../middleware/validation');
 const { AppError } = require('../middleware/errorHandler');
 const { addEmailJob } = require('../services/emailQueue');
+const inventory = require('../services/inventory');
+const { checkComponentStock } = require('../services/bundles');
 
 const router = express.Router();
 
@@ -45,7 +46,7 @@ async function runWithTransaction(callback) {
 }
 
 // POST /api/orders/checkout - Create order from cart
-router.post('/checkout', validate(checkoutSchema), async (req, res, next) => {
+router.post('/checkout', requireVerifiedEmail, validate(checkoutSchema), async (req, res, next) => {
   try {
     await runWithTransaction(async (session) => {
       const { shippingAddress, paymentMethod, notes } = req.body;
@@ -57,29 +58,52 @@ router.post('/checkout', validate(checkoutSchema), async (req, res, next) => {
         throw new AppError('Cart is empty', 400);
       }
 
-      // Validate all products and check stock
+      // Validate all products and check stock; every item is priced at the same moment
       const orderItems = [];
       let totalAmount = 0;
+      const pricedAt = new Date();
 
       for (const cartItem of cart.items) {
         const product = cartItem.productId;
+        if (!product) {
+          throw new AppError('A product in your cart is no longer available', 400);
+        }
+        const variant = product.getVariant(cartItem.variantId);
         
-        if (!product.isActive) {
+        if (!product.isActive || (cartItem.variantId && (!variant || !variant.isActive))) {
           throw new AppError(`Product ${product.name} is no longer available`, 400);
         }
 
-        if (product.availableStock < cartItem.quantity) {
-          throw new AppError(`Insufficient stock for ${product.name}. Available: ${product.availableStock}`, 400);
+        const itemName = variant ? `${product.name} (${variant.label})` : product.name;
+        const availableStock = product.getAvailableStock(cartItem.variantId);
+        if (availableStock < cartItem.quantity) {
+          throw new AppError(`Insufficient stock for ${itemName}. Available: ${availableStock}`, 400);
         }
 
+        const price = product.getPrice(cartItem.variantId, pricedAt);
+
         orderItems.push({
           productId: product._id,
+          variantId: variant ? variant._id : null,
+          sku: variant ? variant.sku : undefined,
+          variantLabel: variant ? variant.label : undefined,
           quantity: cartItem.quantity,
-          priceAtPurchase: product.price,
-          productName: product.name
+          priceAtPurchase: price,
+          compareAtPrice: product.getCompareAtPrice(cartItem.variantId, pricedAt),
+          productName: product.name,
+          productImage: product.getImageUrl(),
+          components: product.isBundle
+            ? product.bundleItems.map(({ productId, variantId, sku, quantity }) => ({ productId, variantId, sku, quantity }))
+            : undefined
         });
 
-        totalAmount += product.price * cartItem.quantity;
+        totalAmount += price * cartItem.quantity;
+      }
+
+      // Bundles share their components with each other and with items bought on their own,
+      // so check the combined demand for every component
+      if (orderItems.some(item => item.components)) {
+        await checkComponentStock(orderItems, session);
       }
 
       // Create order using save() so pre('save') runs and orderNumber is generated
@@ -101,14 +125,7 @@ router.post('/checkout', validate(checkoutSchema), async (req, res, next) => {
       }
 
       // Reserve stock for all products
-      for (const cartItem of cart.items) {
-        const updateOptions = session ? { session } : {};
-        await Product.findByIdAndUpdate(
-          cartItem.productId._id,
-          { $inc: { reservedStock: cartItem.quantity } },
-          updateOptions
-        );
-      }
+      await inventory.reserve(orderDoc.items, { session, orderId: orderDoc._id });
 
       // Clear the cart
       const cartUpdateOptions = session ? { session } : {};
@@ -163,14 +180,7 @@ router.post('/:id/pay', validate(mongoIdSchema, 'params'), async (req, res, next
         }
 
         // Release reserved stock
-        for (const item of order.items) {
-          const updateOptions = session ? { session } : {};
-          await Product.findByIdAndUpdate(
-            item.productId,
-            { $inc: { reservedStock: -item.quantity } },
-            updateOptions
-          );
-        }
+        await inventory.release(order.items, { session, orderId: order._id });
 
         throw new AppError('Order has expired and been cancelled', 400);
       }
@@ -236,19 +246,7 @@ router.post('/:id/pay', validate(mongoIdSchema, 'params'), async (req, res, next
       }
 
       // Move reserved stock to actual stock reduction
-      for (const item of order.items) {
-        const updateOptions = session ? { session } : {};
-        await Product.findByIdAndUpdate(
-          item.productId,
-          { 
-            $inc: { 
-              stock: -item.quantity,
-              reservedStock: -item.quantity 
-            }
-          },
-          updateOptions
-        );
-      }
+      await inventory.commit(order.items, { session, orderId: order._id });
 
       // Queue email confirmation job
       await addEmailJob({
@@ -387,14 +385,7 @@ setInterval(async () => {
           }
 
           // Release reserved stock
-          for (const item of order.items) {
-            const updateOptions = session ? { session } : {};
-            await Product.findByIdAndUpdate(
-              item.productId,
-              { $inc: { reservedStock: -item.quantity } },
-              updateOptions
-            );
-          }
+          await inventory.release(order.items, { session, orderId: order._id });
         });
       } catch (error) {
         console.error('Error cancelling expired order:', error);
@@ -1,37 +1,96 @@
 const express = require('express');
 const Product = require('../models/Product');
-const { authenticate, authorizeAdmin, optionalAuth } = require('../middleware/auth');
-const { validate, productSchema, productUpdateSchema, productQuerySchema, mongoIdSchema } = require('../middleware/validation');
+const { authenticate, authorizeUser, requirePermission, optionalAuth } = require('../middleware/auth');
+const {
+  validate,
+  productSchema,
+  productUpdateSchema,
+  productQuerySchema,
+  productImageUploadSchema,
+  productImageUpdateSchema,
+  productImageOrderSchema,
+  productImageParamSchema,
+  productSuggestSchema,
+  productDeleteQuerySchema,
+  priceScheduleSchema,
+  priceScheduleParamSchema,
+  reviewSchema,
+  reviewQuerySchema,
+  stockSubscriptionSchema,
+  mongoIdSchema
+} = require('../middleware/validation');
 const { AppError } = require('../middleware/errorHandler');
+const inventory = require('../services/inventory');
+const pricing = require('../services/pricing');
+const { assignCategory } = require('../services/categories');
+const { buildFilters, toQuery, getFacets, suggestProducts } = require('../services/productSearch');
+const Category = require('../models/Category');
+const { uploadImages, addProductImages, removeImageFiles } = require('../services/productImages');
+const { archiveProduct, restoreProduct, deleteProduct } = require('../services/productArchive');
+const { getRolePermissions } = require('../services/rbac');
+const { createReview } = require('../services/reviews');
+const { subscribe, notifySubscribers } = require('../services/stockNotifications');
+const { assignBundleItems, updateBundles } = require('../services/bundles');
+const { describeAttributes } = require('../services/productAttributes');
+const Review = require('../models/Review');
 
 const router = express.Router();
 
-// GET /api/products - Get all products (public with optional auth)
-router.get('/', optionalAuth, validate(productQuerySchema, 'query'), async (req, res, next) => {
-  try {
-    const { page, limit, sort, order, search, category, minPrice, maxPrice } = req.query;
-    
-    // Build filter object
-    const filter = { isActive: true };
-    
-    if (search) {
-      filter.$text = { $search: search };
-    }
-    
-    if (category) {
-      filter.category = category;
+// Merge submitted variants into a product, keeping reservations of existing variants
+const applyVariantChanges = (product, variants) => {
+  if (product.variants.length === 0 && product.reservedStock > 0) {
+    throw new AppError('Cannot add variants while stock is reserved by pending orders', 400);
+  }
+
+  const kept = new Set();
+  const merged = variants.map(({ _id, ...fields }) => {
+    const existing = _id
+      ? product.variants.id(_id)
+      : product.variants.find(variant => variant.sku === fields.sku.toUpperCase());
+
+    if (_id && !existing) {
+      throw new AppError(`Variant ${_id} not found`, 400);
     }
-    
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseFloat(minPrice);
-      if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
+
+    if (existing) {
+      kept.add(existing._id.toString());
+      existing.set(fields);
+      return existing;
     }
+    return fields;
+  });
+
+  const removedWithReservations = product.variants.filter(variant =>
+    !kept.has(variant._id.toString()) && variant.reservedStock > 0
+  );
+  if (removedWithReservations.length > 0) {
+    throw new AppError(`Variant ${removedWithReservations[0].sku} has stock reserved by pending orders`, 400);
+  }
+
+  product.variants = merged;
+};
+
+// GET /api/products - Get all products (public with optional auth); ?facets=true adds filter counts
+router.get('/', optionalAuth, validate(productQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const { page, limit, sort, order, facets } = req.query;
 
-    // Build sort object
+    // A category (id, slug or name) includes the products of all its subcategories
+    const filters = await buildFilters(req.query);
+    const filter = toQuery(filters);
+
+    // Build sort object; searches are ordered by relevance unless another sort is chosen
     let sortObj = {};
-    if (sort) {
-      sortObj[sort] = order === 'asc' ? 1 : -1;
+    const byRelevance = req.query.search && (!sort || sort === 'relevance');
+    if (byRelevance) {
+      sortObj.score = { $meta: 'textScore' };
+    } else if (sort && sort !== 'relevance') {
+      // Products on sale are sorted by their sale price
+      sortObj[sort === 'price' ? 'currentPrice' : sort] = order === 'asc' ? 1 : -1;
+      // Among equal ratings, products with more reviews come first
+      if (sort === 'averageRating') {
+        sortObj.reviewCount = -1;
+      }
     } else {
       sortObj.createdAt = -1; // Default sort by creation date
     }
@@ -40,7 +99,7 @@ router.get('/', optionalAuth, validate(productQuerySchema, 'query'), async (req,
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Execute query
-    const products = await Product.find(filter)
+    const products = await Product.find(filter, byRelevance ? { score: { $meta: 'textScore' } } : null)
       .sort(sortObj)
       .skip(skip)
       .limit(parseInt(limit))
@@ -51,13 +110,14 @@ router.get('/', optionalAuth, validate(productQuerySchema, 'query'), async (req,
     res.status(200).json({
       status: 'success',
       data: {
-        products,
+        products: products.map(product => Product.summarize(product)),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / parseInt(limit)),
           totalItems: total,
           itemsPerPage: parseInt(limit)
-        }
+        },
+        ...(facets === 'true' && { facets: await getFacets(filters) })
       }
     });
   } catch (error) {
@@ -65,22 +125,49 @@ router.get('/', optionalAuth, validate(productQuerySchema, 'query'), async (req,
   }
 });
 
-// GET /api/products/:id - Get single product
+// GET /api/products/suggest - Type-ahead suggestions for a partial search
+router.get('/suggest', optionalAuth, validate(productSuggestSchema, 'query'), async (req, res, next) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit) : 8;
+    const { products, categories } = await suggestProducts(req.query.q, limit);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        query: req.query.q,
+        suggestions: products,
+        categories
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/products/:id - Get single product; archived products are only shown to product managers
 router.get('/:id', optionalAuth, validate(mongoIdSchema, 'params'), async (req, res, next) => {
   try {
     const product = await Product.findById(req.params.id);
+    const canManage = req.user && (await getRolePermissions(req.user.role)).includes('products:write');
     
-    if (!product) {
+    if (!product || (product.archivedAt && !canManage)) {
       return res.status(404).json({
         status: 'error',
         message: 'Product not found'
       });
     }
 
+    await product.populate('bundleItems.productId', 'name imageUrl isActive');
+
+    // Upcoming prices are only shown to product managers
+    const { priceSchedules, ...storefrontProduct } = product.toJSON();
+
     res.status(200).json({
       status: 'success',
       data: {
-        product
+        product: canManage ? product : storefrontProduct,
+        // Attribute values with the names and units defined by the category
+        specifications: await describeAttributes(product)
       }
     });
   } catch (error) {
@@ -88,10 +175,29 @@ router.get('/:id', optionalAuth, validate(mongoIdSchema, 'params'), async (req,
   }
 });
 
-// POST /api/products - Create new product (Admin only)
-router.post('/', authenticate, authorizeAdmin, validate(productSchema), async (req, res, next) => {
+// POST /api/products - Create new product (requires products:write)
+router.post('/', authenticate, requirePermission('products:write'), validate(productSchema), async (req, res, next) => {
   try {
-    const product = await Product.create(req.body);
+    const { categoryId, bundleItems, ...fields } = req.body;
+    if (bundleItems && fields.stock !== undefined) {
+      throw new AppError('Stock of a bundle comes from its components', 400);
+    }
+    const product = new Product(fields);
+    if (bundleItems) {
+      await assignBundleItems(product, bundleItems);
+    }
+    await assignCategory(product, { categoryId, category: fields.category });
+    await product.save();
+
+    await inventory.recordStockChanges(new Map(), product, {
+      type: 'OPENING_BALANCE',
+      reason: 'Product created',
+      userId: req.user._id
+    });
+    await pricing.recordPriceChanges(new Map(), product, {
+      reason: 'Product created',
+      userId: req.user._id
+    });
 
     res.status(201).json({
       status: 'success',
@@ -105,14 +211,10 @@ router.post('/', authenticate, authorizeAdmin, validate(productSchema), async (r
   }
 });
 
-// PUT /api/products/:id - Update product (Admin only)
-router.put('/:id', authenticate, authorizeAdmin, validate(mongoIdSchema, 'params'), validate(productUpdateSchema), async (req, res, next) => {
+// PUT /api/products/:id - Update product (requires products:write)
+router.put('/:id', authenticate, requirePermission('products:write'), validate(mongoIdSchema, 'params'), validate(productUpdateSchema), async (req, res, next) => {
   try {
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const product = await Product.findById(req.params.id);
 
     if (!product) {
       return res.status(404).json({
@@ -121,6 +223,39 @@ router.put('/:id', authenticate, authorizeAdmin, validate(mongoIdSchema, 'params
       });
     }
 
+    // Saving the document keeps price and stock in sync with the variants
+    const stockBefore = inventory.snapshotStock(product);
+    const pricesBefore = pricing.snapshotPrices(product);
+    const { variants, bundleItems, categoryId, ...fields } = req.body;
+    if (product.archivedAt && fields.isActive) {
+      throw new AppError('Product is archived. Restore it before activating it.', 400);
+    }
+    if ((bundleItems || product.isBundle) && fields.stock !== undefined) {
+      throw new AppError('Stock of a bundle comes from its components', 400);
+    }
+    product.set(fields);
+    if (variants) {
+      applyVariantChanges(product, variants);
+    }
+    if (bundleItems) {
+      await assignBundleItems(product, bundleItems);
+    }
+    await assignCategory(product, { categoryId, category: fields.category });
+    await product.save();
+
+    // Direct stock edits are recorded in the ledger like any other change
+    await inventory.recordStockChanges(stockBefore, product, {
+      reason: 'Product updated',
+      userId: req.user._id
+    });
+    await pricing.recordPriceChanges(pricesBefore, product, {
+      reason: 'Product updated',
+      userId: req.user._id
+    });
+    await notifySubscribers(product);
+    // Stock or availability of a component changes the bundles it is part of
+    await updateBundles([product._id]);
+
     res.status(200).json({
       status: 'success',
       message: 'Product updated successfully',
@@ -133,10 +268,10 @@ router.put('/:id', authenticate, authorizeAdmin, validate(mongoIdSchema, 'params
   }
 });
 
-// DELETE /api/products/:id - Delete product (Admin only)
-router.delete('/:id', authenticate, authorizeAdmin, validate(mongoIdSchema, 'params'), async (req, res, next) => {
+// POST /api/products/:id/images - Upload images (multipart field "images", requires products:write)
+router.post('/:id/images', authenticate, requirePermission('products:write'), validate(mongoIdSchema, 'params'), uploadImages, validate(productImageUploadSchema), async (req, res, next) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
+    const product = await Product.findById(req.params.id);
 
     if (!product) {
       return res.status(404).json({
@@ -145,24 +280,339 @@ router.delete('/:id', authenticate, authorizeAdmin, validate(mongoIdSchema, 'par
       });
     }
 
+    const images = await addProductImages(product, req.files, { altText: req.body.altText });
+
+    res.status(201).json({
+      status: 'success',
+      message: `${images.length} image(s) uploaded successfully`,
+      data: {
+        images,
+        product
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/products/:id/images/order - Change the display order of a product's images (requires products:write)
+router.put('/:id/images/order', authenticate, requirePermission('products:write'), validate(mongoIdSchema, 'params'), validate(productImageOrderSchema), async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Product not found'
+      });
+    }
+
+    const { imageIds } = req.body;
+    const images = imageIds.map(imageId => product.images.id(imageId));
+
+    if (images.includes(null) || images.length !== product.images.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please list every image of the product exactly once'
+      });
+    }
+
+    product.images = images;
+    await product.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Image order updated successfully',
+      data: {
+        images: product.images
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/products/:id/images/:imageId - Update alt text or make an image primary (requires products:write)
+router.patch('/:id/images/:imageId', authenticate, requirePermission('products:write'), validate(productImageParamSchema, 'params'), validate(productImageUpdateSchema), async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const image = product ? product.images.id(req.params.imageId) : null;
+
+    if (!image) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Image not found'
+      });
+    }
+
+    const { altText, isPrimary } = req.body;
+    if (altText !== undefined) {
+      image.altText = altText;
+    }
+    if (isPrimary) {
+      product.images.forEach(other => {
+        other.isPrimary = other._id.equals(image._id);
+      });
+    }
+    await product.save();
+
     res.status(200).json({
       status: 'success',
-      message: 'Product deleted successfully'
+      message: 'Image updated successfully',
+      data: {
+        image
+      }
     });
   } catch (error) {
     next(error);
   }
 });
 
-// GET /api/products/categories/list - Get all categories
+// DELETE /api/products/:id/images/:imageId - Delete an image and its files (requires products:write)
+router.delete('/:id/images/:imageId', authenticate, requirePermission('products:write'), validate(productImageParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const image = product ? product.images.id(req.params.imageId) : null;
+
+    if (!image) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Image not found'
+      });
+    }
+
+    // The next image becomes primary when the primary image is removed
+    image.deleteOne();
+    await product.save();
+    await removeImageFiles([image]);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Image deleted successfully',
+      data: {
+        primaryImage: product.primaryImage
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/products/:id - Archive a product; ?permanent=true deletes one that was never ordered (requires products:write)
+router.delete('/:id', authenticate, requirePermission('products:write'), validate(mongoIdSchema, 'params'), validate(productDeleteQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Product not found'
+      });
+    }
+
+    if (req.query.permanent === 'true') {
+      await deleteProduct(product);
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Product deleted permanently'
+      });
+    }
+
+    const { cartsUpdated } = await archiveProduct(product, { userId: req.user._id });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Product archived successfully',
+      data: {
+        product,
+        cartsUpdated
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/products/:id/restore - Bring an archived product back to the storefront (requires products:write)
+router.post('/:id/restore', authenticate, requirePermission('products:write'), validate(mongoIdSchema, 'params'), async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Product not found'
+      });
+    }
+
+    await restoreProduct(product);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Product restored successfully',
+      data: {
+        product
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/products/:id/price-schedules - Schedule a sale or a price change (requires products:write)
+router.post('/:id/price-schedules', authenticate, requirePermission('products:write'), validate(mongoIdSchema, 'params'), validate(priceScheduleSchema), async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Product not found'
+      });
+    }
+
+    const { schedule } = await pricing.addPriceSchedule(product, req.body, { userId: req.user._id });
+
+    res.status(201).json({
+      status: 'success',
+      message: req.body.endsAt ? 'Sale scheduled successfully' : 'Price change scheduled successfully',
+      data: {
+        schedule,
+        product
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/products/:id/price-schedules/:scheduleId - Cancel a scheduled price; a running sale ends now (requires products:write)
+router.delete('/:id/price-schedules/:scheduleId', authenticate, requirePermission('products:write'), validate(priceScheduleParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Product not found'
+      });
+    }
+
+    await pricing.cancelPriceSchedule(product, req.params.scheduleId, { userId: req.user._id });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Price schedule cancelled successfully',
+      data: {
+        product
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/products/:id/reviews - Get approved reviews of a product with a breakdown by rating
+router.get('/:id/reviews', optionalAuth, validate(mongoIdSchema, 'params'), validate(reviewQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const { page, limit, sort, order } = req.query;
+    const product = await Product.findById(req.params.id).select('averageRating reviewCount archivedAt');
+
+    if (!product || product.archivedAt) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Product not found'
+      });
+    }
+
+    const filter = { productId: product._id, status: 'APPROVED' };
+    const sortObj = { [sort || 'createdAt']: order === 'asc' ? 1 : -1 };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [reviews, breakdown] = await Promise.all([
+      Review.find(filter)
+        .populate('userId', 'name')
+        .select('-moderatedBy -moderationNote')
+        .sort(sortObj)
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Review.aggregate([
+        { $match: filter },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = new Map(breakdown.map(({ _id, count }) => [_id, count]));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        averageRating: product.averageRating,
+        reviewCount: product.reviewCount,
+        ratingBreakdown: [5, 4, 3, 2, 1].map(rating => ({ rating, count: counts.get(rating) || 0 })),
+        // Only the reviewer's first name is shown
+        reviews: reviews.map(({ userId, ...review }) => ({
+          ...review,
+          reviewer: userId ? userId.name.split(' ')[0] : 'Former customer'
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(product.reviewCount / parseInt(limit)),
+          totalItems: product.reviewCount,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/products/:id/reviews - Review a product from a delivered order; reviews are published once approved
+router.post('/:id/reviews', authenticate, authorizeUser, validate(mongoIdSchema, 'params'), validate(reviewSchema), async (req, res, next) => {
+  try {
+    const review = await createReview(req.user, req.params.id, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Thank you! Your review will be published after moderation.',
+      data: {
+        review
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/products/:id/stock-subscriptions - Get an email when an out-of-stock product is back in stock
+router.post('/:id/stock-subscriptions', authenticate, authorizeUser, validate(mongoIdSchema, 'params'), validate(stockSubscriptionSchema), async (req, res, next) => {
+  try {
+    const subscription = await subscribe(req.user, req.params.id, req.body.variantId || null);
+
+    res.status(201).json({
+      status: 'success',
+      message: "We'll email you when this product is back in stock.",
+      data: {
+        subscription
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/products/categories/list - Get the names of all active categories (see GET /api/categories for the tree)
 router.get('/categories/list', optionalAuth, async (req, res, next) => {
   try {
-    const categories = await Product.distinct('category', { isActive: true });
-    
+    const categories = await Category.find({ isActive: true }).sort({ name: 1 }).select('name').lean();
+
     res.status(200).json({
       status: 'success',
       data: {
-        categories: categories.filter(cat => cat) // Remove null/empty categories
+        categories: categories.map(category => category.name)
       }
     });
   } catch (error) {
@@ -0,0 +1,85 @@
+const express = require('express');
+const Review = require('../models/Review');
+const { authenticate, authorizeUser } = require('../middleware/auth');
+const { validate, reviewUpdateSchema, mongoIdSchema } = require('../middleware/validation');
+const { updateReview, deleteReview } = require('../services/reviews');
+
+const router = express.Router();
+
+// All review routes act on the user's own reviews
+router.use(authenticate);
+router.use(authorizeUser);
+
+// Find one of the user's own reviews
+const findOwnReview = (req) => Review.findOne({ _id: req.params.id, userId: req.user._id });
+
+// GET /api/reviews/mine - Get the user's reviews with their moderation status
+router.get('/mine', async (req, res, next) => {
+  try {
+    const reviews = await Review.find({ userId: req.user._id })
+      .populate('productId', 'name imageUrl')
+      .select('-moderatedBy')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        reviews
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/reviews/:id - Edit a review; it goes back to moderation
+router.put('/:id', validate(mongoIdSchema, 'params'), validate(reviewUpdateSchema), async (req, res, next) => {
+  try {
+    const review = await findOwnReview(req);
+
+    if (!review) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Review not found'
+      });
+    }
+
+    await updateReview(review, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Review updated. It will be published again after moderation.',
+      data: {
+        review
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/reviews/:id - Delete a review
+router.delete('/:id', validate(mongoIdSchema, 'params'), async (req, res, next) => {
+  try {
+    const review = await findOwnReview(req);
+
+    if (!review) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Review not found'
+      });
+    }
+
+    await deleteReview(review);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const StockSubscription = require('../models/StockSubscription');
+const { authenticate, authorizeUser } = require('../middleware/auth');
+const { validate, mongoIdSchema } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All subscription routes act on the user's own back-in-stock subscriptions
+router.use(authenticate);
+router.use(authorizeUser);
+
+// GET /api/stock-subscriptions - Get the products the user is waiting for
+router.get('/', async (req, res, next) => {
+  try {
+    const subscriptions = await StockSubscription.find({ userId: req.user._id })
+      .populate('productId', 'name imageUrl images variants')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        subscriptions: subscriptions.map(subscription => {
+          const product = subscription.productId;
+          const variant = product ? product.getVariant(subscription.variantId) : null;
+
+          return {
+            id: subscription._id,
+            productId: product ? product._id : null,
+            productName: product ? product.name : 'Deleted product',
+            productImage: product ? product.getImageUrl() : undefined,
+            variantId: subscription.variantId,
+            variantLabel: variant ? variant.label : undefined,
+            createdAt: subscription.createdAt
+          };
+        })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/stock-subscriptions/:id - Stop waiting for a product
+router.delete('/:id', validate(mongoIdSchema, 'params'), async (req, res, next) => {
+  try {
+    const subscription = await StockSubscription.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!subscription) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Subscription not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'You will no longer be notified about this product'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,14 @@
 const mongoose = require('mongoose');
 const Product = require('./models/Product');
+const Category = require('./models/Category');
+const Review = require('./models/Review');
+const PriceHistory = require('./models/PriceHistory');
 const User = require('./models/User');
+const { ensureBuiltInRoles } = require('./services/rbac');
+const { recordStockChanges } = require('./services/inventory');
+const { recordPriceChanges } = require('./services/pricing');
+const { assignBundleItems } = require('./services/bundles');
+const { migrateProductCategories, createCategory } = require('./services/categories');
 require('dotenv').config({ path: './config.env' });
 
 // Sample products data
@@ -23,11 +31,24 @@ const sampleProducts = [
   },
   {
     name: "Cotton T-Shirt",
-    price: 24.99,
     description: "Comfortable 100% cotton t-shirt available in multiple colors.",
-    stock: 75,
     category: "Clothing",
-    imageUrl: "https://images.unsplash.com/photo-1521572163474-6864f9cf17ab?w=300"
+    imageUrl: "https://images.unsplash.com/photo-1521572163474-6864f9cf17ab?w=300",
+    // Price and stock are derived from the variants
+    options: [
+      { name: "Size", values: ["S", "M", "L", "XL"] },
+      { name: "Color", values: ["White", "Black"] }
+    ],
+    variants: [
+      { sku: "TSHIRT-S-WHT", options: { Size: "S", Color: "White" }, price: 24.99, stock: 8 },
+      { sku: "TSHIRT-S-BLK", options: { Size: "S", Color: "Black" }, price: 24.99, stock: 8 },
+      { sku: "TSHIRT-M-WHT", options: { Size: "M", Color: "White" }, price: 24.99, stock: 12 },
+      { sku: "TSHIRT-M-BLK", options: { Size: "M", Color: "Black" }, price: 24.99, stock: 12 },
+      { sku: "TSHIRT-L-WHT", options: { Size: "L", Color: "White" }, price: 24.99, stock: 10 },
+      { sku: "TSHIRT-L-BLK", options: { Size: "L", Color: "Black" }, price: 24.99, stock: 10 },
+      { sku: "TSHIRT-XL-WHT", options: { Size: "XL", Color: "White" }, price: 26.99, stock: 7 },
+      { sku: "TSHIRT-XL-BLK", options: { Size: "XL", Color: "Black" }, price: 26.99, stock: 8 }
+    ]
   },
   {
     name: "Programming Book - JavaScript",
@@ -92,7 +113,8 @@ const adminUser = {
   name: "Admin User",
   email: "admin@resolute.com",
   password: "admin123",
-  role: "ADMIN"
+  role: "ADMIN",
+  emailVerified: true
 };
 
 async function seedDatabase() {
@@ -101,14 +123,67 @@ async function seedDatabase() {
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('Connected to MongoDB');
 
-    // Clear existing products
+    // Clear existing products and categories
     await Product.deleteMany({});
-    console.log('Cleared existing products');
+    await Category.deleteMany({});
+    await Review.deleteMany({});
+    await PriceHistory.deleteMany({});
+    console.log('Cleared existing products, categories, reviews and price history');
 
     // Insert sample products
     const products = await Product.insertMany(sampleProducts);
     console.log(`Inserted ${products.length} sample products`);
 
+    // Start the stock ledger and price history from the seeded data
+    for (const product of products) {
+      await recordStockChanges(new Map(), product, { type: 'OPENING_BALANCE', reason: 'Seed data' });
+      await recordPriceChanges(new Map(), product, { reason: 'Seed data' });
+    }
+
+    // Build the category tree from the product categories, with one subcategory as an example
+    await migrateProductCategories();
+    const electronics = await Category.findOne({ slug: 'electronics' });
+    const audio = await createCategory({
+      name: 'Audio',
+      parentId: electronics._id,
+      attributes: [
+        { key: 'battery_life', name: 'Battery life', type: 'NUMBER', unit: 'hours' },
+        { key: 'wireless', name: 'Wireless', type: 'BOOLEAN', required: true },
+        { key: 'fit', name: 'Fit', type: 'ENUM', values: ['Over-ear', 'On-ear', 'In-ear'] }
+      ]
+    });
+    await Product.updateOne(
+      { name: 'Wireless Bluetooth Headphones' },
+      {
+        categoryId: audio._id,
+        category: audio.name,
+        attributes: { battery_life: 30, wireless: true, fit: 'Over-ear' }
+      }
+    );
+    console.log('Created category tree');
+
+    // A bundle sold as one item; its stock comes from the headphones and the stand
+    const headphones = products.find(product => product.name === 'Wireless Bluetooth Headphones');
+    const laptopStand = products.find(product => product.name === 'Laptop Stand');
+    const bundle = new Product({
+      name: 'Home Office Kit',
+      price: 124.99,
+      description: 'Laptop stand and wireless headphones, together for less.',
+      category: 'Electronics',
+      categoryId: electronics._id
+    });
+    await assignBundleItems(bundle, [
+      { productId: laptopStand._id, quantity: 1 },
+      { productId: headphones._id, quantity: 1 }
+    ]);
+    await bundle.save();
+    await recordPriceChanges(new Map(), bundle, { reason: 'Seed data' });
+    console.log('Created sample bundle');
+
+    // Create built-in roles (ADMIN, USER, WAREHOUSE)
+    await ensureBuiltInRoles();
+    console.log('Ensured built-in roles');
+
     // Check if admin user exists
     const existingAdmin = await User.findOne({ email: adminUser.email });
     if (!existingAdmin) {
@@ -10,8 +10,18 @@ const productRoutes = require('./routes/products');
 const cartRoutes = require('./routes/cart');
 const orderRoutes = require('./routes/orders');
 const adminRoutes = require('./routes/admin');
+const categoryRoutes = require('./routes/categories');
+const reviewRoutes = require('./routes/reviews');
+const stockSubscriptionRoutes = require('./routes/stockSubscriptions');
 const { errorHandler } = require('./middleware/errorHandler');
 const { initializeEmailQueue } = require('./services/emailQueue');
+const { initializeImportQueue } = require('./services/productImport');
+const { UPLOAD_DIR, UPLOAD_URL_PATH } = require('./services/imageStorage');
+const { ensureBuiltInRoles } = require('./services/rbac');
+const { migrateProductCategories } = require('./services/categories');
+const { indexSearchTokens } = require('./services/productSearch');
+const { indexCurrentPrices, startPriceScheduler } = require('./services/pricing');
+const { startLowStockMonitor } = require('./services/stockAlerts');
 
 const app = express();
 
@@ -31,6 +41,9 @@ app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Serve uploaded product images; file names are never reused, so they can be cached
+app.use(UPLOAD_URL_PATH, express.static(UPLOAD_DIR, { maxAge: '30d', immutable: true }));
+
 // Serve static files
 app.use(express.static('.'));
 
@@ -40,6 +53,44 @@ mongoose.connect(process.env.MONGODB_URI)
   console.log('Connected to MongoDB');
   // Initialize email queue after DB connection
   initializeEmailQueue();
+  initializeImportQueue();
+  // Make sure built-in roles exist so existing ADMIN users keep full access
+  ensureBuiltInRoles().catch((error) => {
+    console.error('Failed to seed built-in roles:', error);
+  });
+  // Move free-text product categories into the category tree
+  migrateProductCategories()
+    .then((migrated) => {
+      if (migrated > 0) {
+        console.log(`Migrated ${migrated} product(s) to the category tree`);
+      }
+    })
+    .catch((error) => {
+      console.error('Failed to migrate product categories:', error);
+    });
+  // Index products saved before autocomplete existed
+  indexSearchTokens()
+    .then((indexed) => {
+      if (indexed > 0) {
+        console.log(`Indexed ${indexed} product(s) for search suggestions`);
+      }
+    })
+    .catch((error) => {
+      console.error('Failed to index products for search:', error);
+    });
+  // Fill in current prices of products saved before scheduled prices existed, then start sales on time
+  indexCurrentPrices()
+    .then((indexed) => {
+      if (indexed > 0) {
+        console.log(`Set current prices of ${indexed} product(s)`);
+      }
+    })
+    .catch((error) => {
+      console.error('Failed to set current prices:', error);
+    })
+    .finally(startPriceScheduler);
+  // Email stock managers when products run low
+  startLowStockMonitor();
 })
 .catch((error) => {
   console.error('MongoDB connection error:', error);
@@ -49,6 +100,9 @@ mongoose.connect(process.env.MONGODB_URI)
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/stock-subscriptions', stockSubscriptionRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/admin', adminRoutes);
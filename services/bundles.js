@@ -0,0 +1,163 @@
+const Product = require('../models/Product');
+const { AppError } = require('../middleware/errorHandler');
+const { notifySubscribers } = require('./stockNotifications');
+
+// Bundles hold no stock of their own. Their `stock` is the number of complete bundles the
+// components can make up, refreshed whenever a component's stock changes.
+
+const sameId = (a, b) => String(a || '') === String(b || '');
+
+// Available stock of one component, or 0 when it can't be sold
+const componentAvailability = (component, variantId) => {
+  if (!component || !component.isActive) {
+    return 0;
+  }
+
+  if (!variantId) {
+    return component.stock - component.reservedStock;
+  }
+
+  const variant = (component.variants || []).find(item => sameId(item._id, variantId));
+  return variant && variant.isActive ? variant.stock - variant.reservedStock : 0;
+};
+
+// Complete bundles the scarcest component allows
+const bundleStock = (bundle, componentsById) => {
+  return Math.min(...bundle.bundleItems.map(item => {
+    const available = componentAvailability(componentsById.get(item.productId.toString()), item.variantId);
+    return Math.max(Math.floor(available / item.quantity), 0);
+  }));
+};
+
+const loadComponents = async (productIds, session = null) => {
+  const components = await Product.find({ _id: { $in: productIds } })
+    .select('name isActive stock reservedStock variants bundleItems')
+    .session(session)
+    .lean();
+  return new Map(components.map(component => [component._id.toString(), component]));
+};
+
+// Check and set the components of a bundle; each one is a sellable product (or variant) that isn't a bundle itself
+const assignBundleItems = async (product, items) => {
+  if (product.variants.length > 0) {
+    throw new AppError('A product with variants cannot be a bundle', 400);
+  }
+  if (!product.isNew && product.bundleItems.length === 0 && (product.stock > 0 || product.reservedStock > 0)) {
+    throw new AppError('Only products without stock can become a bundle', 400);
+  }
+
+  const componentsById = await loadComponents(items.map(item => item.productId));
+  const seen = new Set();
+
+  const bundleItems = items.map(({ productId, variantId = null, quantity = 1 }) => {
+    const component = componentsById.get(String(productId));
+    if (!component || sameId(component._id, product._id)) {
+      throw new AppError(`Bundle component ${productId} not found`, 400);
+    }
+    if (component.bundleItems && component.bundleItems.length > 0) {
+      throw new AppError(`${component.name} is a bundle and cannot be part of another bundle`, 400);
+    }
+
+    const hasVariants = component.variants && component.variants.length > 0;
+    const variant = hasVariants ? component.variants.find(item => sameId(item._id, variantId)) : null;
+    if (hasVariants && !variant) {
+      throw new AppError(`Please select the variant of ${component.name} to include`, 400);
+    }
+    if (!hasVariants && variantId) {
+      throw new AppError(`${component.name} has no variants`, 400);
+    }
+
+    const key = `${productId}:${variantId || ''}`;
+    if (seen.has(key)) {
+      throw new AppError(`${component.name} is listed more than once`, 400);
+    }
+    seen.add(key);
+
+    return { productId: component._id, variantId: variant ? variant._id : null, sku: variant ? variant.sku : undefined, quantity };
+  });
+
+  product.bundleItems = bundleItems;
+  product.stock = bundleStock(product, componentsById);
+  return product;
+};
+
+// Recompute the stock of bundles that contain any of the given products, returning the ids of bundles that changed
+const refreshBundleStock = async (productIds, { session = null } = {}) => {
+  const bundles = await Product.find({ 'bundleItems.productId': { $in: productIds } })
+    .select('stock bundleItems')
+    .session(session)
+    .lean();
+
+  if (bundles.length === 0) {
+    return [];
+  }
+
+  const componentsById = await loadComponents(bundles.flatMap(bundle => bundle.bundleItems.map(item => item.productId)), session);
+  const changed = bundles
+    .map(bundle => ({ _id: bundle._id, previous: bundle.stock, stock: bundleStock(bundle, componentsById) }))
+    .filter(bundle => bundle.stock !== bundle.previous);
+
+  if (changed.length > 0) {
+    await Product.bulkWrite(
+      changed.map(bundle => ({ updateOne: { filter: { _id: bundle._id }, update: { $set: { stock: bundle.stock } } } })),
+      session ? { session } : {}
+    );
+  }
+
+  return changed.map(bundle => bundle._id);
+};
+
+// Refresh bundles after their components changed outside an order, emailing subscribers of bundles back in stock
+const updateBundles = async (productIds) => {
+  const bundleIds = await refreshBundleStock(productIds);
+
+  for (const bundle of await Product.find({ _id: { $in: bundleIds } })) {
+    await notifySubscribers(bundle);
+  }
+  return bundleIds;
+};
+
+// Order items with bundles replaced by their components, for stock movements
+const expandBundles = (items) => {
+  return items.flatMap(item => {
+    if (!item.components || item.components.length === 0) {
+      return [item];
+    }
+    return item.components.map(component => ({
+      productId: component.productId,
+      variantId: component.variantId,
+      sku: component.sku,
+      quantity: component.quantity * item.quantity
+    }));
+  });
+};
+
+// Check that the components can cover every item of an order together,
+// e.g. a bundle and one of its components bought on their own
+const checkComponentStock = async (items, session = null) => {
+  const needed = new Map();
+  for (const item of expandBundles(items)) {
+    const key = `${item.productId}:${item.variantId || ''}`;
+    const entry = needed.get(key) || { productId: item.productId, variantId: item.variantId, quantity: 0 };
+    entry.quantity += item.quantity;
+    needed.set(key, entry);
+  }
+
+  const componentsById = await loadComponents([...needed.values()].map(entry => entry.productId), session);
+
+  for (const { productId, variantId, quantity } of needed.values()) {
+    const component = componentsById.get(productId.toString());
+    const available = componentAvailability(component, variantId);
+    if (available < quantity) {
+      throw new AppError(`Insufficient stock for ${component ? component.name : 'a bundle component'}. Available: ${Math.max(available, 0)}`, 400);
+    }
+  }
+};
+
+module.exports = {
+  assignBundleItems,
+  refreshBundleStock,
+  updateBundles,
+  expandBundles,
+  checkComponentStock
+};
@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_DEPTH = 5; // Levels of nesting, including top-level categories
+
+const byTreeOrder = (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+// Nest a flat list of categories under their parents, sorted by sortOrder then name
+const buildTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parentId ? nodes.get(node.parentId.toString()) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else if (!node.parentId) {
+      roots.push(node);
+    }
+    // Nodes whose parent was filtered out (e.g. inactive) are left out with it
+  }
+
+  const sortTree = (list) => {
+    list.sort(byTreeOrder);
+    list.forEach(node => sortTree(node.children));
+    return list;
+  };
+
+  return sortTree(roots);
+};
+
+// Find a category by id or slug; legacy category names resolve through their slug
+const findCategory = (value) => {
+  if (mongoose.isValidObjectId(value) && String(value).length === 24) {
+    return Category.findById(value);
+  }
+  return Category.findOne({ slug: Category.slugify(value) });
+};
+
+// A category and all of its subcategories
+const getDescendantIds = async (category) => {
+  const descendants = await Category.find({ ancestors: category._id }).distinct('_id');
+  return [category._id, ...descendants];
+};
+
+// Find the category for a free-text name, creating a top-level category when none exists
+const findOrCreateCategory = async (name, { create = true } = {}) => {
+  const slug = Category.slugify(name);
+  if (!slug) {
+    throw new AppError(`"${name}" is not a valid category name`, 400);
+  }
+
+  const existing = await Category.findOne({ slug });
+  if (existing || !create) {
+    return existing;
+  }
+
+  try {
+    return await Category.create({ name: name.trim(), slug });
+  } catch (error) {
+    // Created by a concurrent request
+    if (error.code === 11000) {
+      return Category.findOne({ slug });
+    }
+    throw error;
+  }
+};
+
+// Point a product at a category given by id or by name, keeping the category name on the product in sync
+const assignCategory = async (product, { categoryId, category }, { create = true } = {}) => {
+  let target;
+
+  if (categoryId) {
+    target = await Category.findById(categoryId);
+    if (!target) {
+      throw new AppError('Category not found', 400);
+    }
+  } else if (category !== undefined) {
+    target = await findOrCreateCategory(category, { create });
+    if (!target) {
+      // Dry runs don't create categories; the name is kept as given
+      product.category = category;
+      return;
+    }
+  } else {
+    return;
+  }
+
+  product.categoryId = target._id;
+  product.category = target.name;
+};
+
+const checkSlugAvailable = async (slug, categoryId) => {
+  const existing = await Category.findOne({ slug, _id: { $ne: categoryId } });
+  if (existing) {
+    throw new AppError(`Slug "${slug}" is already used by category ${existing.name}`, 400);
+  }
+};
+
+// Attribute filters look up the type by key, so a key has the same type in every category
+const checkAttributeTypes = async (category) => {
+  for (const { key, type } of category.attributes) {
+    const conflict = await Category.findOne({
+      _id: { $ne: category._id },
+      attributes: { $elemMatch: { key, type: { $ne: type } } }
+    }).select('name');
+
+    if (conflict) {
+      throw new AppError(`Attribute ${key} is already defined with another type in category ${conflict.name}`, 400);
+    }
+  }
+};
+
+const loadParent = async (parentId) => {
+  const parent = await Category.findById(parentId);
+  if (!parent) {
+    throw new AppError('Parent category not found', 400);
+  }
+  if (parent.ancestors.length + 1 >= MAX_DEPTH) {
+    throw new AppError(`Categories cannot be nested more than ${MAX_DEPTH} levels deep`, 400);
+  }
+  return parent;
+};
+
+const createCategory = async ({ parentId, ...fields }) => {
+  const category = new Category(fields);
+
+  if (parentId) {
+    const parent = await loadParent(parentId);
+    category.parentId = parent._id;
+    category.ancestors = [...parent.ancestors, parent._id];
+  }
+
+  await category.validate();
+  await checkSlugAvailable(category.slug, category._id);
+  await checkAttributeTypes(category);
+  await category.save();
+
+  return category;
+};
+
+// Update a category; moving it to another parent moves its whole subtree
+const updateCategory = async (categoryId, { parentId, ...fields }) => {
+  const category = await Category.findById(categoryId);
+
+  if (!category) {
+    throw new AppError('Category not found', 404);
+  }
+
+  const renamed = fields.name !== undefined && fields.name !== category.name;
+  category.set(fields);
+
+  const currentParentId = category.parentId ? category.parentId.toString() : null;
+  const moved = parentId !== undefined && (parentId || null) !== currentParentId;
+  let descendants = [];
+
+  if (moved) {
+    descendants = await Category.find({ ancestors: category._id });
+    let ancestors = [];
+
+    if (parentId) {
+      const parent = await loadParent(parentId);
+      if (parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id))) {
+        throw new AppError('A category cannot be moved under itself or one of its subcategories', 400);
+      }
+      ancestors = [...parent.ancestors, parent._id];
+    }
+
+    const subtreeDepth = Math.max(0, ...descendants.map(descendant => descendant.ancestors.length - category.ancestors.length));
+    if (ancestors.length + subtreeDepth + 1 > MAX_DEPTH) {
+      throw new AppError(`Categories cannot be nested more than ${MAX_DEPTH} levels deep`, 400);
+    }
+
+    category.parentId = parentId || null;
+    category.ancestors = ancestors;
+  }
+
+  await category.validate();
+  await checkSlugAvailable(category.slug, category._id);
+  await checkAttributeTypes(category);
+  await category.save();
+
+  // Subcategories keep their position below the moved category
+  for (const descendant of descendants) {
+    const index = descendant.ancestors.findIndex(id => id.equals(category._id));
+    descendant.ancestors = [...category.ancestors, ...descendant.ancestors.slice(index)];
+    await descendant.save();
+  }
+
+  if (renamed) {
+    await Product.updateMany({ categoryId: category._id }, { category: category.name });
+  }
+
+  return category;
+};
+
+const deleteCategory = async (categoryId) => {
+  const category = await Category.findById(categoryId);
+
+  if (!category) {
+    throw new AppError('Category not found', 404);
+  }
+
+  const children = await Category.countDocuments({ parentId: category._id });
+  if (children > 0) {
+    throw new AppError(`Category has ${children} subcategories. Move or delete them first.`, 400);
+  }
+
+  const products = await Product.countDocuments({ categoryId: category._id });
+  if (products > 0) {
+    throw new AppError(`Category has ${products} product(s). Move them to another category first.`, 400);
+  }
+
+  await category.deleteOne();
+};
+
+// Turn the free-text categories of existing products into top-level categories
+const migrateProductCategories = async () => {
+  const names = await Product.distinct('category', {
+    categoryId: null,
+    category: { $nin: [null, ''] }
+  });
+
+  let migrated = 0;
+  for (const name of names) {
+    const category = await findOrCreateCategory(name);
+    const result = await Product.updateMany(
+      { category: name, categoryId: null },
+      { categoryId: category._id, category: category.name }
+    );
+    migrated += result.modifiedCount;
+  }
+
+  return migrated;
+};
+
+module.exports = {
+  buildTree,
+  findCategory,
+  getDescendantIds,
+  findOrCreateCategory,
+  assignCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  migrateProductCategories
+};
@@ -0,0 +1,95 @@
+// Minimal RFC 4180 CSV parsing and formatting (quoted fields, escaped quotes, CRLF)
+
+// Parse CSV text into a header row and one object per data row
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark added by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Ignore blank lines
+  const nonEmpty = records.filter(row => row.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = nonEmpty[0].map(header => header.trim());
+  const rows = nonEmpty.slice(1).map(values => {
+    const row = {};
+    headers.forEach((header, index) => {
+      const value = values[index] !== undefined ? values[index].trim() : '';
+      // Undo the formula guard added by formatCsvValue so exports can be re-imported
+      row[header] = /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+    });
+    return row;
+  });
+
+  return { headers, rows };
+};
+
+// Format a single value, quoting when needed. Text starting with a formula
+// character is prefixed so spreadsheets don't execute it.
+const formatCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format one CSV line from values in header order
+const formatCsvRow = (values) => {
+  return `${values.map(formatCsvValue).join(',')}\r\n`;
+};
+
+module.exports = {
+  parseCsv,
+  formatCsvRow
+};
@@ -16,7 +16,7 @@ const initializeEmailQueue = () => {
 
   // Process email jobs
   emailQueue.process('send-email', async (job) => {
-    const { type, userEmail, userName, orderNumber, totalAmount, orderId } = job.data;
+    const { type, userEmail, userName, orderNumber, totalAmount, orderId, resetUrl, verificationUrl, invitationUrl, invitedByName, lockedUntil, products, productName, productUrl } = job.data;
 
     try {
       // Create email transporter
@@ -100,6 +100,126 @@ const initializeEmailQueue = () => {
           `;
           break;
 
+        case 'EMAIL_VERIFICATION':
+          subject = 'Verify Your Email Address';
+          html = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+              <h2 style="color: #333;">Verify Your Email</h2>
+              <p>Dear ${userName},</p>
+              <p>Please confirm that this is your email address.</p>
+              
+              <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 5px;">
+                <p><a href="${verificationUrl}">Click here to verify your email</a></p>
+                <p>This link expires in 24 hours.</p>
+              </div>
+              
+              <p>If you did not create an account, you can safely ignore this email.</p>
+              
+              <p>Best regards,<br>E-commerce Team</p>
+            </div>
+          `;
+          break;
+
+        case 'ADMIN_INVITATION':
+          subject = 'You have been invited as an administrator';
+          html = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+              <h2 style="color: #333;">Administrator Invitation</h2>
+              <p>Hello,</p>
+              <p>${invitedByName} has invited you to become an administrator of the E-commerce platform.</p>
+              
+              <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 5px;">
+                <p><a href="${invitationUrl}">Click here to accept the invitation</a></p>
+                <p>This invitation expires in 72 hours.</p>
+              </div>
+              
+              <p>If you were not expecting this invitation, you can safely ignore this email.</p>
+              
+              <p>Best regards,<br>E-commerce Team</p>
+            </div>
+          `;
+          break;
+
+        case 'ACCOUNT_LOCKED':
+          subject = 'Your account has been temporarily locked';
+          html = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+              <h2 style="color: #333;">Account Temporarily Locked</h2>
+              <p>Dear ${userName},</p>
+              <p>We locked your account after several failed login attempts.</p>
+              
+              <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 5px;">
+                <p><strong>Locked Until:</strong> ${new Date(lockedUntil).toUTCString()}</p>
+              </div>
+              
+              <p>If these attempts were not made by you, we recommend resetting your password once the lock expires.</p>
+              
+              <p>Best regards,<br>E-commerce Team</p>
+            </div>
+          `;
+          break;
+
+        case 'BACK_IN_STOCK':
+          subject = `Back in stock: ${productName}`;
+          html = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+              <h2 style="color: #333;">Back in Stock</h2>
+              <p>Dear ${userName},</p>
+              <p>Good news! <strong>${productName}</strong> is available again.</p>
+              
+              <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 5px;">
+                <p><a href="${productUrl}">Click here to view the product</a></p>
+                <p>Stock is limited, so we can't hold it for you.</p>
+              </div>
+              
+              <p>You asked us to let you know when this product was restocked. We won't email you about it again.</p>
+              
+              <p>Best regards,<br>E-commerce Team</p>
+            </div>
+          `;
+          break;
+
+        case 'LOW_STOCK_ALERT':
+          subject = `Low stock: ${products.length} product(s) need reordering`;
+          html = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+              <h2 style="color: #333;">Low Stock Alert</h2>
+              <p>Dear ${userName},</p>
+              <p>The following products have reached their reorder threshold:</p>
+              
+              <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 5px;">
+                ${products.map(product => `
+                  <p><strong>${product.name}</strong>${product.sku ? ` (${product.sku})` : ''}: ${product.availableStock} available, threshold ${product.reorderThreshold}</p>
+                `).join('')}
+              </div>
+              
+              <p>See the low stock report in the admin dashboard for suggested reorder quantities.</p>
+              
+              <p>Best regards,<br>E-commerce Team</p>
+            </div>
+          `;
+          break;
+
+        case 'PASSWORD_RESET':
+          subject = 'Reset Your Password';
+          html = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+              <h2 style="color: #333;">Password Reset Request</h2>
+              <p>Dear ${userName},</p>
+              <p>We received a request to reset the password for your account.</p>
+              
+              <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 5px;">
+                <p><a href="${resetUrl}">Click here to reset your password</a></p>
+                <p>This link expires in 1 hour and can only be used once.</p>
+              </div>
+              
+              <p>If you did not request a password reset, you can safely ignore this email.</p>
+              
+              <p>Best regards,<br>E-commerce Team</p>
+            </div>
+          `;
+          break;
+
         default:
           throw new Error(`Unknown email type: ${type}`);
       }
@@ -112,7 +232,7 @@ const initializeEmailQueue = () => {
         html
       });
 
-      console.log(`Email sent successfully to ${userEmail} for order ${orderNumber}`);
+      console.log(`Email sent successfully to ${userEmail} (${type})`);
       return { success: true, message: 'Email sent successfully' };
 
     } catch (error) {
@@ -136,9 +256,10 @@ const initializeEmailQueue = () => {
 
 // Add email job to queue
 const addEmailJob = async (emailData) => {
-  // If queue is disabled, just log and return a mock result
+  // If queue is disabled, just log and return a mock result.
+  // Only the type and recipient are logged: reset, verification and invitation links grant account access.
   if (!emailQueue) {
-    console.log('Email queue disabled. Would send email:', emailData);
+    console.log(`Email queue disabled. Would send ${emailData.type} email to ${emailData.userEmail}`);
     return { id: 'mock-job', data: emailData };
   }
 
@@ -0,0 +1,61 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// A storage driver implements save(key, buffer, contentType), which returns the public URL,
+// and remove(key). Keys look like "products/<id>/<image>/small.webp".
+// Register other drivers (S3, GCS, ...) with registerStorageDriver and select them with IMAGE_STORAGE.
+const drivers = {};
+let storage;
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+const UPLOAD_URL_PATH = '/uploads';
+
+// Files on local disk, served by the app under /uploads
+const createLocalStorage = ({ root = UPLOAD_DIR, baseUrl = UPLOAD_URL_PATH } = {}) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${baseUrl}/${key}`;
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+registerStorageDriver('local', createLocalStorage);
+
+// Storage selected with IMAGE_STORAGE (defaults to local disk)
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.IMAGE_STORAGE || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown image storage driver: ${name}`);
+    }
+    storage = drivers[name]();
+  }
+  return storage;
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  UPLOAD_URL_PATH,
+  createLocalStorage,
+  registerStorageDriver,
+  getStorage
+};
@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const { AppError } = require('../middleware/errorHandler');
+const { notifySubscribers } = require('./stockNotifications');
+const { refreshBundleStock, updateBundles, expandBundles } = require('./bundles');
+
+// Every stock change goes through this service so it is recorded in the StockMovement ledger.
+// Bundles have no ledger of their own: their items move the stock of the components.
+
+// Build an update that changes a variant and the product totals together,
+// so product-level stock always equals the sum of its variants
+const buildStockUpdate = ({ productId, variantId }, changes) => {
+  const filter = { _id: productId };
+  const inc = { ...changes };
+
+  if (variantId) {
+    filter['variants._id'] = variantId;
+    for (const [field, amount] of Object.entries(changes)) {
+      inc[`variants.$.${field}`] = amount;
+    }
+  }
+
+  return { filter, update: { $inc: inc } };
+};
+
+const toMovement = (item, type, changes, extra = {}) => {
+  return {
+    productId: item.productId._id || item.productId,
+    variantId: item.variantId || null,
+    sku: item.sku,
+    type,
+    stockChange: changes.stock || 0,
+    reservedChange: changes.reservedStock || 0,
+    ...extra
+  };
+};
+
+const applyOrderMovements = async (type, items, getChanges, { session = null, orderId } = {}) => {
+  const updateOptions = session ? { session } : {};
+  const movements = [];
+  const stockItems = expandBundles(items);
+
+  for (const item of stockItems) {
+    const changes = getChanges(item.quantity);
+    const { filter, update } = buildStockUpdate(item, changes);
+    await Product.updateOne(filter, update, updateOptions);
+    movements.push(toMovement(item, type, changes, { orderId }));
+  }
+
+  await StockMovement.insertMany(movements, updateOptions);
+  await refreshBundleStock(stockItems.map(item => item.productId._id || item.productId), { session });
+};
+
+const rejectBundle = (product) => {
+  if (product.isBundle) {
+    throw new AppError('Bundle stock comes from its components', 400);
+  }
+};
+
+// Hold stock for items of a new order
+const reserve = (items, options) => {
+  return applyOrderMovements('RESERVATION', items, quantity => ({ reservedStock: quantity }), options);
+};
+
+// Give back stock held for an order that was cancelled or expired
+const release = (items, options) => {
+  return applyOrderMovements('RELEASE', items, quantity => ({ reservedStock: -quantity }), options);
+};
+
+// Turn held stock into a sale once an order is paid
+const commit = (items, options) => {
+  return applyOrderMovements('SALE', items, quantity => ({ stock: -quantity, reservedStock: -quantity }), options);
+};
+
+// Put stock of a paid order that will not be delivered back on hand
+const restoreSold = (items, options) => {
+  return applyOrderMovements('RETURN', items, quantity => ({ stock: quantity }), options);
+};
+
+// Manually change stock on hand (stock count corrections, deliveries, customer returns)
+const adjustStock = async (productId, { variantId = null, quantity, type = 'ADJUSTMENT', reason, userId }) => {
+  const product = await Product.findById(productId);
+
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+  rejectBundle(product);
+
+  const hasVariants = product.variants.length > 0;
+  if (hasVariants && !variantId) {
+    throw new AppError('Please select the variant to adjust', 400);
+  }
+  if (!hasVariants && variantId) {
+    throw new AppError('This product has no variants', 400);
+  }
+
+  const variant = product.getVariant(variantId);
+  if (variantId && !variant) {
+    throw new AppError('Variant not found', 404);
+  }
+
+  // Stock on hand can never drop below what pending orders have reserved
+  const target = variant || product;
+  const minimumStock = target.reservedStock - quantity;
+  const filter = variant
+    ? { _id: product._id, variants: { $elemMatch: { _id: variant._id, stock: { $gte: minimumStock } } } }
+    : { _id: product._id, stock: { $gte: minimumStock } };
+  const { update } = buildStockUpdate({ productId: product._id, variantId }, { stock: quantity });
+
+  const result = await Product.updateOne(filter, update);
+  if (result.modifiedCount === 0) {
+    throw new AppError(`Stock cannot go below the ${target.reservedStock} item(s) reserved by pending orders`, 400);
+  }
+
+  const movement = await StockMovement.create(toMovement(
+    { productId: product._id, variantId, sku: variant ? variant.sku : undefined },
+    type,
+    { stock: quantity },
+    { reason, userId }
+  ));
+
+  const updated = await Product.findById(product._id);
+  if (quantity > 0) {
+    await notifySubscribers(updated);
+  }
+  await updateBundles([product._id]);
+
+  return {
+    product: updated,
+    movement
+  };
+};
+
+// Stock on hand per ledger level: each variant, or the product itself when it has no variants
+const snapshotStock = (product) => {
+  const levels = new Map();
+
+  if (product.isBundle) {
+    return levels;
+  }
+
+  if (product.variants.length === 0) {
+    levels.set('', { variantId: null, stock: product.stock, reservedStock: product.reservedStock });
+  } else {
+    for (const variant of product.variants) {
+      levels.set(variant._id.toString(), {
+        variantId: variant._id,
+        sku: variant.sku,
+        stock: variant.stock,
+        reservedStock: variant.reservedStock
+      });
+    }
+  }
+
+  return levels;
+};
+
+// Record the difference between two snapshots, e.g. after a product was created or edited directly
+const recordStockChanges = async (before, product, { type = 'ADJUSTMENT', reason, userId } = {}) => {
+  const after = snapshotStock(product);
+  const movements = [];
+
+  for (const key of new Set([...before.keys(), ...after.keys()])) {
+    const previous = before.get(key) || { stock: 0, reservedStock: 0 };
+    const current = after.get(key) || { stock: 0, reservedStock: 0 };
+    const level = after.get(key) || before.get(key);
+    const changes = {
+      stock: current.stock - previous.stock,
+      reservedStock: current.reservedStock - previous.reservedStock
+    };
+
+    if (changes.stock !== 0 || changes.reservedStock !== 0) {
+      movements.push(toMovement(
+        { productId: product._id, variantId: level.variantId, sku: level.sku },
+        type,
+        changes,
+        { reason, userId }
+      ));
+    }
+  }
+
+  return StockMovement.insertMany(movements);
+};
+
+// Recompute stock and reservedStock from the ledger and report any drift
+const reconcile = async (productId, { apply = false, userId } = {}) => {
+  const product = await Product.findById(productId);
+
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+  rejectBundle(product);
+
+  const totals = await StockMovement.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId) } },
+    {
+      $group: {
+        _id: '$variantId',
+        stock: { $sum: '$stockChange' },
+        reservedStock: { $sum: '$reservedChange' },
+        movements: { $sum: 1 }
+      }
+    }
+  ]);
+
+  // Products created before the ledger existed start from their current numbers
+  if (totals.length === 0) {
+    await recordStockChanges(new Map(), product, {
+      type: 'OPENING_BALANCE',
+      reason: 'Opening balance recorded during reconciliation',
+      userId
+    });
+    return { product, openingBalanceRecorded: true, drift: [], applied: false };
+  }
+
+  const ledger = new Map(totals.map(total => [total._id ? total._id.toString() : '', total]));
+  const drift = [];
+
+  for (const [key, actual] of snapshotStock(product)) {
+    const expected = ledger.get(key) || { stock: 0, reservedStock: 0 };
+    if (expected.stock !== actual.stock || expected.reservedStock !== actual.reservedStock) {
+      drift.push({
+        variantId: actual.variantId,
+        sku: actual.sku,
+        actual: { stock: actual.stock, reservedStock: actual.reservedStock },
+        ledger: { stock: expected.stock, reservedStock: expected.reservedStock },
+        difference: {
+          stock: actual.stock - expected.stock,
+          reservedStock: actual.reservedStock - expected.reservedStock
+        }
+      });
+    }
+  }
+
+  if (apply && drift.length > 0) {
+    for (const entry of drift) {
+      const target = entry.variantId ? product.getVariant(entry.variantId) : product;
+      target.stock = entry.ledger.stock;
+      target.reservedStock = entry.ledger.reservedStock;
+    }
+    await product.save();
+  }
+
+  return { product, openingBalanceRecorded: false, drift, applied: apply && drift.length > 0 };
+};
+
+module.exports = {
+  reserve,
+  release,
+  commit,
+  restoreSold,
+  adjustStock,
+  snapshotStock,
+  recordStockChanges,
+  reconcile
+};
@@ -0,0 +1,66 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const { AppError } = require('../middleware/errorHandler');
+const { addEmailJob } = require('./emailQueue');
+
+// Brute-force protection shared by every route that checks a credential of an account
+// (password login, second factor, accepting an invitation as an existing account)
+
+// Record a login attempt so admins can review suspicious activity
+const recordLoginAttempt = async (req, email, user, reason) => {
+  try {
+    await LoginAttempt.create({
+      email,
+      userId: user ? user._id : null,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      success: reason === 'SUCCESS',
+      reason
+    });
+  } catch (error) {
+    // Never fail a login because the audit record could not be written
+    console.error('Failed to record login attempt:', error);
+  }
+};
+
+// Enforce lockout and progressive delays before a credential is checked
+const assertLoginAllowed = async (req, res, user) => {
+  const retryAfter = user.getLoginRetryAfter();
+  if (retryAfter === 0) {
+    return;
+  }
+
+  const locked = user.isLocked();
+  await recordLoginAttempt(req, user.email, user, locked ? 'ACCOUNT_LOCKED' : 'THROTTLED');
+  res.set('Retry-After', String(retryAfter));
+  throw new AppError(locked
+    ? `Account is temporarily locked due to too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+    : `Too many failed login attempts. Try again in ${retryAfter} second(s).`, 429);
+};
+
+// Count a wrong credential towards the lockout, emailing the owner when it locks the account
+const recordFailedLogin = async (req, user, reason) => {
+  const locked = await user.registerFailedLogin();
+  await recordLoginAttempt(req, user.email, user, reason);
+
+  if (locked) {
+    await addEmailJob({
+      type: 'ACCOUNT_LOCKED',
+      userEmail: user.email,
+      userName: user.name,
+      lockedUntil: user.lockUntil
+    });
+  }
+};
+
+// Clear failed attempts once a login is complete
+const recordSuccessfulLogin = async (req, user) => {
+  await user.resetLoginAttempts();
+  await recordLoginAttempt(req, user.email, user, 'SUCCESS');
+};
+
+module.exports = {
+  recordLoginAttempt,
+  assertLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin
+};
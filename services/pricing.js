@@ -0,0 +1,206 @@
+const Product = require('../models/Product');
+const PriceHistory = require('../models/PriceHistory');
+const { AppError } = require('../middleware/errorHandler');
+
+// Regular price changes and scheduled prices are recorded in the PriceHistory collection
+
+const SCHEDULER_INTERVAL = 60000; // Check for sales that start or end every minute
+
+const toEntry = (product, variant, type, fields) => {
+  return {
+    productId: product._id,
+    variantId: variant ? variant._id : null,
+    sku: variant ? variant.sku : undefined,
+    type,
+    ...fields
+  };
+};
+
+// Regular price per price level: each variant, or the product itself when it has no variants
+const snapshotPrices = (product) => {
+  const levels = new Map();
+
+  if (product.variants.length === 0) {
+    levels.set('', { variant: null, price: product.price });
+  } else {
+    for (const variant of product.variants) {
+      levels.set(variant._id.toString(), { variant, price: variant.price });
+    }
+  }
+
+  return levels;
+};
+
+// Record regular price changes between a snapshot and the product, e.g. after it was created or edited directly
+const recordPriceChanges = async (before, product, { reason, userId } = {}) => {
+  const entries = [];
+
+  for (const [key, current] of snapshotPrices(product)) {
+    const previous = before.get(key);
+    if (!previous || previous.price !== current.price) {
+      entries.push(toEntry(product, current.variant, 'PRICE_CHANGE', {
+        price: current.price,
+        previousPrice: previous ? previous.price : null,
+        reason,
+        userId
+      }));
+    }
+  }
+
+  return PriceHistory.insertMany(entries);
+};
+
+// Variants (or the product itself) a schedule applies to
+const scheduleTargets = (product, schedule) => {
+  if (schedule.variantId) {
+    return [product.getVariant(schedule.variantId)];
+  }
+  return product.variants.length > 0 ? product.variants : [null];
+};
+
+const saleEndedEntries = (product, schedule, fields) => {
+  return scheduleTargets(product, schedule).map(variant => {
+    const regularPrice = (variant || product).price;
+    return toEntry(product, variant, 'SALE_ENDED', {
+      ...fields,
+      price: regularPrice,
+      previousPrice: Product.scheduledPrice(schedule, regularPrice)
+    });
+  });
+};
+
+// Start and end the product's schedules that are due, returning the price history entries to record
+const applySchedules = (product, now = new Date()) => {
+  const entries = [];
+  const due = product.priceSchedules
+    .filter(schedule => schedule.startsAt <= now)
+    .sort((a, b) => a.startsAt - b.startsAt);
+
+  for (const schedule of due) {
+    const targets = scheduleTargets(product, schedule);
+    const ended = schedule.endsAt && schedule.endsAt <= now;
+    const fields = { scheduleId: schedule._id, userId: schedule.createdBy };
+
+    if (!schedule.endsAt) {
+      // A permanent change becomes the new regular price
+      for (const variant of targets) {
+        const target = variant || product;
+        const price = Product.scheduledPrice(schedule, target.price);
+        entries.push(toEntry(product, variant, 'PRICE_CHANGE', {
+          ...fields,
+          price,
+          previousPrice: target.price,
+          reason: schedule.label || 'Scheduled price change'
+        }));
+        target.price = price;
+      }
+      product.priceSchedules.pull(schedule._id);
+    } else if (schedule.status === 'SCHEDULED' && !ended) {
+      for (const variant of targets) {
+        const regularPrice = (variant || product).price;
+        entries.push(toEntry(product, variant, 'SALE_STARTED', {
+          ...fields,
+          price: Product.scheduledPrice(schedule, regularPrice),
+          previousPrice: regularPrice,
+          compareAtPrice: schedule.compareAtPrice || regularPrice,
+          reason: schedule.label || 'Scheduled sale'
+        }));
+      }
+      schedule.status = 'ACTIVE';
+    } else if (ended) {
+      // Sales that started and ended between two runs never changed a price
+      if (schedule.status === 'ACTIVE') {
+        entries.push(...saleEndedEntries(product, schedule, { ...fields, reason: schedule.label || 'Scheduled sale' }));
+      }
+      product.priceSchedules.pull(schedule._id);
+    }
+  }
+
+  return entries;
+};
+
+const saveWithHistory = async (product, entries) => {
+  await product.save();
+  await PriceHistory.insertMany(entries);
+  return product;
+};
+
+// Schedule a sale (with an end time) or a permanent price change (without one)
+const addPriceSchedule = async (product, fields, { userId } = {}) => {
+  product.priceSchedules.push({
+    ...fields,
+    startsAt: fields.startsAt || new Date(),
+    createdBy: userId
+  });
+  const schedule = product.priceSchedules[product.priceSchedules.length - 1];
+
+  // Schedules starting right away take effect immediately rather than on the next scheduler run
+  await saveWithHistory(product, applySchedules(product));
+  return { product, schedule };
+};
+
+// Remove a schedule; a sale that already started ends now
+const cancelPriceSchedule = async (product, scheduleId, { userId } = {}) => {
+  const schedule = product.priceSchedules.id(scheduleId);
+
+  if (!schedule) {
+    throw new AppError('Price schedule not found', 404);
+  }
+
+  const entries = schedule.status === 'ACTIVE'
+    ? saleEndedEntries(product, schedule, { scheduleId: schedule._id, userId, reason: 'Sale cancelled' })
+    : [];
+  product.priceSchedules.pull(schedule._id);
+
+  return saveWithHistory(product, entries);
+};
+
+// Start and end schedules of all products that have one due
+const applyDueSchedules = async (now = new Date()) => {
+  const products = await Product.find({
+    $or: [
+      { priceSchedules: { $elemMatch: { status: 'SCHEDULED', startsAt: { $lte: now } } } },
+      { 'priceSchedules.endsAt': { $lte: now } }
+    ]
+  });
+
+  for (const product of products) {
+    try {
+      await saveWithHistory(product, applySchedules(product, now));
+    } catch (error) {
+      console.error(`Error applying price schedules of product ${product._id}:`, error);
+    }
+  }
+
+  return products.length;
+};
+
+// Products saved before scheduled prices existed sell at their regular price
+const indexCurrentPrices = async () => {
+  const result = await Product.updateMany(
+    { currentPrice: { $exists: false } },
+    [{ $set: { currentPrice: '$price' } }]
+  );
+  return result.modifiedCount;
+};
+
+// Background job to start and end scheduled prices
+const startPriceScheduler = () => {
+  const run = () => applyDueSchedules().catch((error) => {
+    console.error('Error processing price schedules:', error);
+  });
+
+  run();
+  return setInterval(run, SCHEDULER_INTERVAL);
+};
+
+module.exports = {
+  snapshotPrices,
+  recordPriceChanges,
+  applySchedules,
+  addPriceSchedule,
+  cancelPriceSchedule,
+  applyDueSchedules,
+  indexCurrentPrices,
+  startPriceScheduler
+};
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const ApiKey = require('../models/ApiKey');
+const AdminInvitation = require('../models/AdminInvitation');
+const AuditLog = require('../models/AuditLog');
+const Review = require('../models/Review');
+const StockSubscription = require('../models/StockSubscription');
+const { AppError } = require('../middleware/errorHandler');
+const inventory = require('./inventory');
+const { updateProductRating } = require('./reviews');
+
+const REDACTED = 'REDACTED';
+
+// Orders still being fulfilled need the real shipping address
+const FULFILMENT_STATUSES = ['PAID', 'SHIPPED'];
+
+// Record a privacy operation in the audit trail
+const recordAudit = async (action, actor, targetUserId, { ip, details } = {}) => {
+  const isSelf = actor._id.toString() === targetUserId.toString();
+
+  await AuditLog.create({
+    action,
+    actorId: actor._id,
+    // Don't keep the email of someone who erased their own account
+    actorEmail: isSelf && action === 'USER_ERASED' ? undefined : actor.email,
+    targetUserId,
+    ip,
+    details
+  });
+};
+
+// Collect everything stored about a user into a single JSON archive
+const buildUserExport = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const [cart, orders, sessions, loginAttempts, reviews, stockSubscriptions] = await Promise.all([
+    Cart.findOne({ userId }).populate('items.productId', 'name price').lean(),
+    Order.find({ userId }).sort({ createdAt: -1 }).lean(),
+    Session.find({ userId }).sort({ createdAt: -1 }).lean(),
+    LoginAttempt.find({ userId }).sort({ createdAt: -1 }).lean(),
+    Review.find({ userId }).select('-moderatedBy').sort({ createdAt: -1 }).lean(),
+    StockSubscription.find({ userId }).populate('productId', 'name').sort({ createdAt: -1 }).lean()
+  ]);
+
+  const payments = await Payment.find({ orderId: { $in: orders.map(order => order._id) } })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return {
+    exportedAt: new Date(),
+    user: user.toJSON(),
+    cart,
+    orders,
+    payments,
+    reviews,
+    stockSubscriptions,
+    sessions: sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      revokedAt: session.revokedAt
+    })),
+    loginAttempts: loginAttempts.map(attempt => ({
+      ip: attempt.ip,
+      userAgent: attempt.userAgent,
+      success: attempt.success,
+      reason: attempt.reason,
+      createdAt: attempt.createdAt
+    }))
+  };
+};
+
+// Anonymize a user while keeping orders and payments for accounting
+const eraseUser = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (user.erasedAt) {
+    throw new AppError('User has already been erased', 400);
+  }
+
+  const ordersInFulfilment = await Order.countDocuments({
+    userId,
+    status: { $in: FULFILMENT_STATUSES }
+  });
+
+  if (ordersInFulfilment > 0) {
+    throw new AppError('User has orders that are still being fulfilled. Try again once they are delivered or cancelled.', 409);
+  }
+
+  const originalEmail = user.email;
+  const reviewedProductIds = await Review.find({ userId, status: 'APPROVED' }).distinct('productId');
+
+  // Unpaid orders will never be fulfilled; cancel them and release their stock
+  const pendingOrders = await Order.find({ userId, status: 'PENDING_PAYMENT' });
+  for (const order of pendingOrders) {
+    order.status = 'CANCELLED';
+    await order.save();
+
+    await inventory.release(order.items, { orderId: order._id });
+  }
+
+  const { modifiedCount: ordersRedacted } = await Order.updateMany(
+    { userId },
+    {
+      $set: {
+        'shippingAddress.street': REDACTED,
+        'shippingAddress.city': REDACTED,
+        'shippingAddress.state': REDACTED,
+        'shippingAddress.zipCode': REDACTED,
+        'shippingAddress.country': REDACTED
+      },
+      $unset: { notes: 1 }
+    }
+  );
+
+  await Promise.all([
+    Cart.deleteOne({ userId }),
+    Session.deleteMany({ userId }),
+    LoginAttempt.deleteMany({ $or: [{ userId }, { email: originalEmail }] }),
+    AdminInvitation.deleteMany({ email: originalEmail }),
+    ApiKey.updateMany(
+      { createdBy: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedBy: userId }
+    ),
+    AuditLog.updateMany({ actorId: userId }, { $unset: { actorEmail: 1 } }),
+    Review.deleteMany({ userId }),
+    StockSubscription.deleteMany({ userId })
+  ]);
+
+  // Ratings no longer include the erased reviews
+  for (const productId of reviewedProductIds) {
+    await updateProductRating(productId);
+  }
+
+  // The address must still pass the email validator and stay unique
+  user.name = 'Deleted User';
+  user.email = `deleted-${user._id}@erased.example.com`;
+  user.password = crypto.randomBytes(32).toString('hex');
+  user.role = 'USER';
+  user.isActive = false;
+  user.erasedAt = new Date();
+  user.emailVerified = false;
+  user.pendingEmail = undefined;
+  user.emailVerificationTokenHash = undefined;
+  user.emailVerificationExpires = undefined;
+  user.passwordResetTokenHash = undefined;
+  user.passwordResetExpires = undefined;
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockUntil = undefined;
+  await user.save();
+
+  return {
+    userId: user._id,
+    ordersRedacted,
+    ordersCancelled: pendingOrders.length
+  };
+};
+
+module.exports = {
+  recordAudit,
+  buildUserExport,
+  eraseUser
+};
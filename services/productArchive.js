@@ -0,0 +1,73 @@
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const StockSubscription = require('../models/StockSubscription');
+const { AppError } = require('../middleware/errorHandler');
+const { removeImageFiles } = require('./productImages');
+const { refreshBundleStock } = require('./bundles');
+
+// Take a product out of every cart, leaving a notice the shopper sees on their next visit
+const removeFromCarts = async (product) => {
+  const carts = await Cart.find({ 'items.productId': product._id });
+
+  for (const cart of carts) {
+    cart.removeUnavailableProduct(product._id, product.name);
+    await cart.save();
+  }
+
+  return carts.length;
+};
+
+// Hide a product from the storefront while keeping it for order history
+const archiveProduct = async (product, { userId } = {}) => {
+  if (product.archivedAt) {
+    throw new AppError('Product is already archived', 400);
+  }
+
+  product.archivedAt = new Date();
+  product.archivedBy = userId || null;
+  product.isActive = false;
+  await product.save();
+
+  // Bundles that include the product can't be sold until it is restored
+  await refreshBundleStock([product._id]);
+
+  const cartsUpdated = await removeFromCarts(product);
+  return { product, cartsUpdated };
+};
+
+const restoreProduct = async (product) => {
+  if (!product.archivedAt) {
+    throw new AppError('Product is not archived', 400);
+  }
+
+  product.archivedAt = null;
+  product.archivedBy = null;
+  product.isActive = true;
+  await product.save();
+  await refreshBundleStock([product._id]);
+
+  return product;
+};
+
+// Delete a product for good; only products that were never ordered can be deleted
+const deleteProduct = async (product) => {
+  if (await Order.exists({ 'items.productId': product._id })) {
+    throw new AppError('Product has been ordered and can only be archived', 409);
+  }
+  if (await Product.exists({ 'bundleItems.productId': product._id })) {
+    throw new AppError('Product is part of a bundle and can only be archived', 409);
+  }
+
+  await removeFromCarts(product);
+  await StockSubscription.deleteMany({ productId: product._id });
+  await product.deleteOne();
+  await removeImageFiles(product.images);
+};
+
+module.exports = {
+  removeFromCarts,
+  archiveProduct,
+  restoreProduct,
+  deleteProduct
+};
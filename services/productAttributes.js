@@ -0,0 +1,164 @@
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { AppError } = require('../middleware/errorHandler');
+const { findCategory } = require('./categories');
+
+// Products store attribute values by key; the definitions (name, type, unit) come from their category
+
+const TYPE_DESCRIPTIONS = {
+  STRING: 'text',
+  NUMBER: 'a number',
+  BOOLEAN: 'true or false'
+};
+
+// "20-40", "20-", "-40" or "30"
+const NUMBER_RANGE = /^(\d+(?:\.\d+)?)?(-)?(\d+(?:\.\d+)?)?$/;
+
+// Definitions that apply to a category: its own and those of its ancestors, the closest one winning for each key
+const getAttributeDefinitions = async (category) => {
+  if (!category) {
+    return [];
+  }
+
+  const ancestors = await Category.find({ _id: { $in: category.ancestors } }).select('ancestors attributes').lean();
+  const byKey = new Map();
+
+  for (const level of [...ancestors.sort((a, b) => a.ancestors.length - b.ancestors.length), category]) {
+    for (const definition of level.attributes || []) {
+      byKey.set(definition.key, definition);
+    }
+  }
+
+  return Array.from(byKey.values());
+};
+
+const isValidValue = (definition, value) => {
+  switch (definition.type) {
+    case 'NUMBER':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'BOOLEAN':
+      return typeof value === 'boolean';
+    case 'ENUM':
+      return definition.values.includes(value);
+    default:
+      return typeof value === 'string';
+  }
+};
+
+// Messages for values that don't match the definitions, and for required attributes without a value
+const validateAttributeValues = (attributes, definitions) => {
+  const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+  const messages = [];
+
+  for (const [key, value] of Object.entries(attributes)) {
+    const definition = byKey.get(key);
+    if (!definition) {
+      messages.push(`Attribute ${key} is not defined for this category`);
+    } else if (!isValidValue(definition, value)) {
+      messages.push(definition.type === 'ENUM'
+        ? `Attribute ${key} must be one of: ${definition.values.join(', ')}`
+        : `Attribute ${key} must be ${TYPE_DESCRIPTIONS[definition.type]}`);
+    }
+  }
+
+  for (const definition of definitions) {
+    if (definition.required && attributes[definition.key] === undefined) {
+      messages.push(`Attribute ${definition.key} is required`);
+    }
+  }
+
+  return messages;
+};
+
+// Check the attributes of a product being created or updated against the definitions of its (new) category.
+// Updates that change neither the attributes nor the category are not checked again.
+const checkProductAttributes = async ({ attributes, categoryId, category, productId }) => {
+  const categoryChanged = categoryId !== undefined || category !== undefined;
+  if (attributes === undefined && !categoryChanged) {
+    return [];
+  }
+
+  const product = productId ? await Product.findById(productId).select('categoryId attributes').lean() : null;
+
+  let target = null;
+  if (categoryId) {
+    target = await Category.findById(categoryId).lean();
+  } else if (category !== undefined) {
+    target = await findCategory(category).lean();
+  } else if (product && product.categoryId) {
+    target = await Category.findById(product.categoryId).lean();
+  }
+
+  const values = attributes !== undefined ? attributes : (product && product.attributes) || {};
+  return validateAttributeValues(values, await getAttributeDefinitions(target));
+};
+
+const parseNumberFilter = (key, value) => {
+  const match = NUMBER_RANGE.exec(value);
+  if (!match || (!match[1] && !match[3])) {
+    throw new AppError(`Filter on ${key} must be a number or a range like 10-20`, 400);
+  }
+
+  const [, min, dash, max] = match;
+  if (!dash) {
+    return { $eq: parseFloat(min) };
+  }
+
+  const range = {};
+  if (min) range.$gte = parseFloat(min);
+  if (max) range.$lte = parseFloat(max);
+  return range;
+};
+
+// Conditions for attribute filters, e.g. ?spec[battery_life]=20-&spec[material]=aluminum,steel.
+// Numbers match inclusive ranges, booleans true or false, text and ENUM attributes any of the values.
+const buildAttributeConditions = async (filters) => {
+  const keys = Object.keys(filters);
+  if (keys.length === 0) {
+    return [];
+  }
+
+  // A key has the same type in every category that defines it
+  const categories = await Category.find({ 'attributes.key': { $in: keys } }).select('attributes').lean();
+  const types = new Map();
+  for (const category of categories) {
+    for (const definition of category.attributes) {
+      types.set(definition.key, definition.type);
+    }
+  }
+
+  return Object.entries(filters).map(([key, values]) => {
+    const field = `attributes.${key}`;
+
+    switch (types.get(key)) {
+      case undefined:
+        throw new AppError(`Unknown attribute: ${key}`, 400);
+      case 'NUMBER':
+        return { $or: values.map(value => ({ [field]: parseNumberFilter(key, value) })) };
+      case 'BOOLEAN':
+        if (values.some(value => value !== 'true' && value !== 'false')) {
+          throw new AppError(`Filter on ${key} must be true or false`, 400);
+        }
+        return { [field]: { $in: values.map(value => value === 'true') } };
+      default:
+        return { [field]: { $in: values } };
+    }
+  });
+};
+
+// A product's attribute values with their names and units, in the order the category defines them
+const describeAttributes = async (product) => {
+  const attributes = product.attributes instanceof Map ? Object.fromEntries(product.attributes) : product.attributes || {};
+  const category = product.categoryId ? await Category.findById(product.categoryId).lean() : null;
+
+  return (await getAttributeDefinitions(category))
+    .filter(definition => attributes[definition.key] !== undefined)
+    .map(({ key, name, type, unit }) => ({ key, name, type, unit, value: attributes[key] }));
+};
+
+module.exports = {
+  getAttributeDefinitions,
+  checkProductAttributes,
+  buildAttributeConditions,
+  describeAttributes
+};
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const multer = require('multer');
+const sharp = require('sharp');
+const { AppError } = require('../middleware/errorHandler');
+const { getStorage } = require('./imageStorage');
+
+const MAX_IMAGE_SIZE_MB = parseFloat(process.env.MAX_IMAGE_SIZE_MB) || 5;
+const MAX_IMAGES_PER_PRODUCT = 10;
+const MAX_IMAGE_DIMENSION = 2000; // Larger originals are scaled down
+
+// Formats detected from the file content, with the content type they are stored as
+const ACCEPTED_FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+// Generated sizes (longest edge in pixels), stored as WebP
+const IMAGE_SIZES = {
+  thumbnail: 150,
+  small: 300,
+  medium: 800
+};
+
+// Refuse decompression bombs: tiny files that expand to huge images
+const SHARP_OPTIONS = { limitInputPixels: 40 * 1000 * 1000 };
+
+// Keep uploads in memory; they are validated and resized before anything is stored
+const uploadImages = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE_MB * 1024 * 1024,
+    files: MAX_IMAGES_PER_PRODUCT
+  },
+  fileFilter: (req, file, cb) => {
+    if (!Object.values(ACCEPTED_FORMATS).includes(file.mimetype)) {
+      return cb(new AppError(`${file.originalname} is not a JPEG, PNG or WebP image`, 400));
+    }
+    cb(null, true);
+  }
+}).array('images', MAX_IMAGES_PER_PRODUCT);
+
+const removeFiles = async (keys) => {
+  const storage = getStorage();
+  await Promise.all(keys.map(key => storage.remove(key).catch((error) => {
+    console.error(`Failed to remove image file ${key}:`, error.message);
+  })));
+};
+
+const resize = (buffer, size) => {
+  // rotate() applies the EXIF orientation; re-encoding drops metadata such as GPS location
+  return sharp(buffer, SHARP_OPTIONS)
+    .rotate()
+    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+};
+
+// Validate an uploaded file and store the original plus every generated size
+const storeImage = async (productId, file, altText) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer, SHARP_OPTIONS).metadata();
+  } catch (error) {
+    throw new AppError(`${file.originalname} is not a valid image`, 400);
+  }
+
+  // The declared content type is not trusted; check what the file really is
+  const contentType = ACCEPTED_FORMATS[metadata.format];
+  if (!contentType) {
+    throw new AppError(`${file.originalname} is not a JPEG, PNG or WebP image`, 400);
+  }
+
+  const imageId = new mongoose.Types.ObjectId();
+  const prefix = `products/${productId}/${imageId}`;
+  const storage = getStorage();
+  const storageKeys = [];
+  const urls = {};
+
+  try {
+    const original = await resize(file.buffer, MAX_IMAGE_DIMENSION)
+      .toFormat(metadata.format)
+      .toBuffer({ resolveWithObject: true });
+    const originalKey = `${prefix}/original.${metadata.format === 'jpeg' ? 'jpg' : metadata.format}`;
+    urls.original = await storage.save(originalKey, original.data, contentType);
+    storageKeys.push(originalKey);
+
+    for (const [name, size] of Object.entries(IMAGE_SIZES)) {
+      const data = await resize(file.buffer, size).webp({ quality: 80 }).toBuffer();
+      const key = `${prefix}/${name}.webp`;
+      urls[name] = await storage.save(key, data, 'image/webp');
+      storageKeys.push(key);
+    }
+
+    return {
+      _id: imageId,
+      urls,
+      storageKeys,
+      altText,
+      contentType,
+      width: original.info.width,
+      height: original.info.height,
+      fileSize: original.info.size
+    };
+  } catch (error) {
+    await removeFiles(storageKeys);
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError(`${file.originalname} could not be processed: ${error.message}`, 400);
+  }
+};
+
+// Store uploaded files and append them to the product's images
+const addProductImages = async (product, files, { altText } = {}) => {
+  if (!files || files.length === 0) {
+    throw new AppError('Please upload at least one image in the "images" field', 400);
+  }
+
+  if (product.images.length + files.length > MAX_IMAGES_PER_PRODUCT) {
+    throw new AppError(`A product can have at most ${MAX_IMAGES_PER_PRODUCT} images`, 400);
+  }
+
+  const images = [];
+  try {
+    for (const file of files) {
+      images.push(await storeImage(product._id, file, altText));
+    }
+
+    product.images.push(...images);
+    await product.save();
+  } catch (error) {
+    await removeFiles(images.flatMap(image => image.storageKeys));
+    throw error;
+  }
+
+  return product.images.slice(-images.length);
+};
+
+// Remove the stored files of images that were deleted from a product
+const removeImageFiles = (images) => {
+  return removeFiles(images.flatMap(image => image.storageKeys || []));
+};
+
+module.exports = {
+  MAX_IMAGE_SIZE_MB,
+  MAX_IMAGES_PER_PRODUCT,
+  IMAGE_SIZES,
+  uploadImages,
+  addProductImages,
+  removeImageFiles
+};
@@ -0,0 +1,339 @@
+const Queue = require('bull');
+const Joi = require('joi');
+const Product = require('../models/Product');
+const ImportJob = require('../models/ImportJob');
+const { productSchema, productUpdateSchema } = require('../middleware/validation');
+const { AppError } = require('../middleware/errorHandler');
+const inventory = require('./inventory');
+const pricing = require('./pricing');
+const { assignCategory } = require('./categories');
+const { notifySubscribers } = require('./stockNotifications');
+const { updateBundles } = require('./bundles');
+const { formatCsvRow } = require('./csv');
+
+let importQueue;
+
+// Files up to this many rows are imported during the request; larger ones run as a background job
+const IMPORT_SYNC_ROW_LIMIT = parseInt(process.env.IMPORT_SYNC_ROW_LIMIT) || 100;
+const PROGRESS_SAVE_INTERVAL = 25; // rows between progress updates
+
+// Columns that can be imported
+const CSV_COLUMNS = ['sku', 'name', 'description', 'price', 'stock', 'category', 'imageUrl', 'isActive'];
+
+// Read-only columns added to exports; they are ignored on import so an export can be re-imported
+const EXPORT_ONLY_COLUMNS = ['id', 'reservedStock', 'availableStock', 'variantCount', 'createdAt', 'updatedAt'];
+const EXPORT_COLUMNS = ['id', ...CSV_COLUMNS, ...EXPORT_ONLY_COLUMNS.slice(1)];
+
+// New products are validated like POST /api/products, plus the active flag from exports
+const importCreateSchema = productSchema.keys({
+  isActive: Joi.boolean().optional()
+});
+
+const VALIDATION_OPTIONS = { abortEarly: false, convert: true };
+
+const initializeImportQueue = () => {
+  // Without Redis, background imports run in this process
+  if (!process.env.REDIS_URL) {
+    console.warn('Import queue disabled: REDIS_URL is not set. Large imports will run in-process.');
+    importQueue = null;
+    return;
+  }
+
+  importQueue = new Queue('product import', process.env.REDIS_URL);
+
+  importQueue.process('import-products', async (job) => {
+    const importJob = await processImport(job.data.importJobId, job.data.rows);
+    return { status: importJob.status };
+  });
+
+  importQueue.on('failed', (job, err) => {
+    console.error(`Import job ${job.data.importJobId} failed:`, err.message);
+  });
+};
+
+// Check the header row before any rows are processed
+const validateHeaders = (headers) => {
+  if (!headers.includes('sku') && !headers.includes('name')) {
+    throw new AppError('CSV must have a "sku" or "name" column', 400);
+  }
+
+  const unknown = headers.filter(header => !CSV_COLUMNS.includes(header) && !EXPORT_ONLY_COLUMNS.includes(header));
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown CSV column(s): ${unknown.join(', ')}. Allowed columns: ${CSV_COLUMNS.join(', ')}`, 400);
+  }
+
+  const duplicates = headers.filter((header, index) => headers.indexOf(header) !== index);
+  if (duplicates.length > 0) {
+    throw new AppError(`Duplicate CSV column(s): ${[...new Set(duplicates)].join(', ')}`, 400);
+  }
+};
+
+// Importable fields of a row; empty cells leave the field unchanged
+const rowToFields = (row) => {
+  const fields = {};
+  for (const column of CSV_COLUMNS) {
+    if (row[column] !== undefined && row[column] !== '') {
+      fields[column] = row[column];
+    }
+  }
+  return fields;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Find the product a row refers to: by SKU, or by exact name (case-insensitive)
+const findExistingProduct = async ({ sku, name }) => {
+  if (sku) {
+    const product = await Product.findOne({ sku: sku.toUpperCase() });
+    if (product) {
+      return product;
+    }
+
+    if (await Product.exists({ 'variants.sku': sku.toUpperCase() })) {
+      throw new AppError(`SKU ${sku.toUpperCase()} belongs to a product variant. Variants are edited through the product API.`, 400);
+    }
+  }
+
+  if (!name) {
+    return null;
+  }
+
+  // A row with a new SKU can only claim a product that has no SKU yet
+  const filter = { name: new RegExp(`^${escapeRegex(name)}$`, 'i') };
+  if (sku) {
+    filter.sku = { $exists: false };
+  }
+
+  const matches = await Product.find(filter).limit(2);
+  if (matches.length > 1) {
+    throw new AppError(`More than one product is named "${name}". Add a SKU to identify the product.`, 400);
+  }
+
+  return matches[0] || null;
+};
+
+const toMessages = (error) => {
+  if (error.details) {
+    return error.details.map(detail => detail.message);
+  }
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(err => err.message);
+  }
+  if (error.code === 11000) {
+    return ['SKU is already used by another product'];
+  }
+  return [error.message];
+};
+
+// Validate one row and, unless this is a dry run, create or update the product
+const importRow = async (row, { dryRun, userId, seenKeys, rowNumber }) => {
+  const fields = rowToFields(row);
+
+  if (!fields.sku && !fields.name) {
+    return { messages: ['Row needs a SKU or a name'] };
+  }
+
+  const key = fields.sku ? `sku:${fields.sku.toUpperCase()}` : `name:${fields.name.toLowerCase()}`;
+  if (seenKeys.has(key)) {
+    return { messages: [`Duplicate of row ${seenKeys.get(key)}`] };
+  }
+  seenKeys.set(key, rowNumber);
+
+  try {
+    const product = await findExistingProduct(fields);
+
+    if (!product) {
+      const value = await importCreateSchema.validateAsync(fields, VALIDATION_OPTIONS);
+      const created = new Product(value);
+      await assignCategory(created, { category: value.category }, { create: !dryRun });
+
+      if (dryRun) {
+        await created.validate();
+        return { action: 'created' };
+      }
+
+      await created.save();
+      await inventory.recordStockChanges(new Map(), created, {
+        type: 'OPENING_BALANCE',
+        reason: 'CSV import',
+        userId
+      });
+      await pricing.recordPriceChanges(new Map(), created, { reason: 'CSV import', userId });
+      return { action: 'created', productId: created._id };
+    }
+
+    // Category changes are checked against the attributes the product already has
+    const value = await productUpdateSchema.validateAsync(fields, {
+      ...VALIDATION_OPTIONS,
+      context: { params: { id: product._id } }
+    });
+
+    if (product.archivedAt) {
+      return { messages: ['Product is archived. Restore it before importing changes.'] };
+    }
+
+    // Variant products take price and stock from their variants
+    if (product.variants.length > 0 && (value.price !== undefined || value.stock !== undefined)) {
+      return { messages: ['Price and stock of a product with variants are managed per variant'] };
+    }
+
+    if (product.isBundle && value.stock !== undefined) {
+      return { messages: ['Stock of a bundle comes from its components'] };
+    }
+
+    if (value.stock !== undefined && value.stock < product.reservedStock) {
+      return { messages: [`Stock cannot go below the ${product.reservedStock} item(s) reserved by pending orders`] };
+    }
+
+    const stockBefore = inventory.snapshotStock(product);
+    const pricesBefore = pricing.snapshotPrices(product);
+    product.set(value);
+    await assignCategory(product, { category: value.category }, { create: !dryRun });
+
+    if (dryRun) {
+      await product.validate();
+      return { action: 'updated', productId: product._id };
+    }
+
+    await product.save();
+    await inventory.recordStockChanges(stockBefore, product, {
+      reason: 'CSV import',
+      userId
+    });
+    await pricing.recordPriceChanges(pricesBefore, product, { reason: 'CSV import', userId });
+    await notifySubscribers(product);
+    await updateBundles([product._id]);
+    return { action: 'updated', productId: product._id };
+  } catch (error) {
+    return { messages: toMessages(error) };
+  }
+};
+
+// Run an import job over the parsed rows, saving progress as it goes
+const processImport = async (importJobId, rows) => {
+  const job = await ImportJob.findById(importJobId);
+
+  if (!job) {
+    throw new Error(`Import job ${importJobId} not found`);
+  }
+
+  job.status = 'RUNNING';
+  job.startedAt = new Date();
+  await job.save();
+
+  const seenKeys = new Map();
+
+  try {
+    for (let index = 0; index < rows.length; index++) {
+      // The header is line 1 of the file
+      const rowNumber = index + 2;
+      const result = await importRow(rows[index], {
+        dryRun: job.dryRun,
+        userId: job.createdBy,
+        seenKeys,
+        rowNumber
+      });
+
+      if (result.messages) {
+        job.failedCount += 1;
+        if (job.rowErrors.length < ImportJob.MAX_STORED_ERRORS) {
+          job.rowErrors.push({
+            row: rowNumber,
+            sku: rows[index].sku,
+            name: rows[index].name,
+            messages: result.messages
+          });
+        }
+      } else if (result.action === 'created') {
+        job.createdCount += 1;
+      } else {
+        job.updatedCount += 1;
+      }
+
+      job.processedRows = index + 1;
+      if (job.processedRows % PROGRESS_SAVE_INTERVAL === 0) {
+        await job.save();
+      }
+    }
+
+    job.status = 'COMPLETED';
+  } catch (error) {
+    job.status = 'FAILED';
+    job.failureReason = error.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+
+  return job;
+};
+
+// Create an import job; small files are processed right away, large ones in the background
+const startImport = async ({ rows, dryRun = false, userId }) => {
+  const job = await ImportJob.create({
+    dryRun,
+    createdBy: userId,
+    totalRows: rows.length
+  });
+
+  if (rows.length <= IMPORT_SYNC_ROW_LIMIT) {
+    return { job: await processImport(job._id, rows), background: false };
+  }
+
+  if (importQueue) {
+    await importQueue.add('import-products', { importJobId: job._id.toString(), rows }, {
+      attempts: 1,
+      removeOnComplete: true
+    });
+  } else {
+    setImmediate(() => {
+      processImport(job._id, rows).catch((error) => {
+        console.error(`Import job ${job._id} failed:`, error);
+      });
+    });
+  }
+
+  return { job, background: true };
+};
+
+// Write the whole catalog, including inactive products, as CSV
+const streamProductCsv = async (res) => {
+  const cursor = Product.find().sort({ createdAt: 1 }).lean().cursor();
+
+  res.write(formatCsvRow(EXPORT_COLUMNS));
+
+  for await (const product of cursor) {
+    const hasVariants = product.variants && product.variants.length > 0;
+    const line = formatCsvRow([
+      product._id,
+      product.sku,
+      product.name,
+      product.description,
+      // Variant products are priced and stocked per variant
+      hasVariants ? '' : product.price,
+      hasVariants ? '' : product.stock,
+      product.category,
+      product.imageUrl,
+      product.isActive,
+      product.reservedStock,
+      product.stock - product.reservedStock,
+      hasVariants ? product.variants.length : 0,
+      product.createdAt,
+      product.updatedAt
+    ]);
+
+    if (!res.write(line)) {
+      await new Promise(resolve => res.once('drain', resolve));
+    }
+  }
+
+  res.end();
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  initializeImportQueue,
+  validateHeaders,
+  startImport,
+  streamProductCsv
+};
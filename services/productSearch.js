@@ -0,0 +1,491 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { buildTree, findCategory, getDescendantIds } = require('./categories');
+const { buildAttributeConditions } = require('./productAttributes');
+
+// Price facet boundaries; the last bucket is open-ended (e.g. "1000-")
+const PRICE_BOUNDARIES = [0, 25, 50, 100, 250, 500, 1000];
+const OPEN_ENDED_BUCKET = 'OPEN_ENDED';
+
+const AVAILABLE_STOCK = { $subtract: ['$stock', '$reservedStock'] };
+
+// Multi-select filters accept repeated parameters (?category=a&category=b) or comma-separated values
+const toList = (value) => {
+  if (value === undefined) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// "25-50" -> { min: 25, max: 50 }, "1000-" -> { min: 1000, max: null }
+const parsePriceRange = (range) => {
+  const [min, max] = range.split('-');
+  return { min: parseFloat(min), max: max ? parseFloat(max) : null };
+};
+
+const formatPriceRange = (min, max) => (max === null ? `${min}-` : `${min}-${max}`);
+
+const MAX_COMPLETIONS = 5; // Indexed words a partial search word expands to
+const MIN_COMPLETION_LENGTH = 3; // Shorter words in a full search aren't treated as prefixes
+
+// Typos allowed in a word: none up to 4 letters, one up to 7, two from 8
+const maxEdits = (word) => (word.length >= 8 ? 2 : word.length >= 5 ? 1 : 0);
+
+// Edits (insertions, deletions, substitutions and swaps of neighbouring letters) between two words,
+// or limit + 1 once it's clear there are more than limit
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) {
+    return limit + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+    if (rowMin > limit) {
+      return limit + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+};
+
+const VOCABULARY_TTL_MS = 60 * 1000; // Also picks up products changed by other server instances
+
+let vocabularyCache = null;
+
+// Words of active products' names and SKUs, sorted for prefix lookups and grouped by length for typo lookups
+const loadVocabulary = async () => {
+  const sorted = (await Product.distinct('searchTokens', { isActive: true })).sort();
+  const byLength = new Map();
+  for (const word of sorted) {
+    if (!byLength.has(word.length)) {
+      byLength.set(word.length, []);
+    }
+    byLength.get(word.length).push(word);
+  }
+  return { words: new Set(sorted), sorted, byLength };
+};
+
+// The vocabulary is shared between requests and reloaded once a product is saved or it gets old
+const getVocabulary = () => {
+  const revision = Product.getSearchRevision();
+  if (!vocabularyCache || vocabularyCache.revision !== revision || Date.now() - vocabularyCache.loadedAt > VOCABULARY_TTL_MS) {
+    const loading = loadVocabulary();
+    vocabularyCache = { revision, loadedAt: Date.now(), loading };
+    loading.catch(() => {
+      if (vocabularyCache && vocabularyCache.loading === loading) {
+        vocabularyCache = null;
+      }
+    });
+  }
+  return vocabularyCache.loading;
+};
+
+// Indexed words within the allowed number of typos, closest first. Only words of a
+// length within reach are compared.
+const fuzzyMatches = (word, vocabulary) => {
+  const limit = maxEdits(word);
+  if (limit === 0) {
+    return [];
+  }
+
+  const candidates = [];
+  for (let length = word.length - limit; length <= word.length + limit; length++) {
+    candidates.push(...(vocabulary.byLength.get(length) || []));
+  }
+
+  return candidates
+    .map(term => ({ term, distance: editDistance(word, term, limit) }))
+    .filter(({ distance }) => distance <= limit)
+    .sort((a, b) => a.distance - b.distance || a.term.localeCompare(b.term))
+    .map(({ term }) => term);
+};
+
+// Indexed words starting with a partial word, shortest first
+const completions = (prefix, vocabulary) => {
+  const { sorted } = vocabulary;
+
+  // Binary search for the first word not before the prefix; the completions follow it
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sorted[middle] < prefix) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  const matches = [];
+  for (let index = low; index < sorted.length && sorted[index].startsWith(prefix); index++) {
+    matches.push(sorted[index]);
+  }
+  return matches.sort((a, b) => a.length - b.length || a.localeCompare(b));
+};
+
+// Indexed words a search word stands for: itself, or the closest words when it has a typo
+const matchingTerms = (word, vocabulary) => {
+  if (vocabulary.words.has(word)) {
+    return [word];
+  }
+  return fuzzyMatches(word, vocabulary).slice(0, MAX_COMPLETIONS);
+};
+
+// Add completions of partial words and corrections of misspelt ones to a full-text search.
+// The words as typed are kept, so words that only appear in descriptions still match.
+const expandSearch = async (search) => {
+  const words = [...new Set(Product.tokenize(search))];
+  const vocabulary = await getVocabulary();
+  const terms = new Set(words);
+
+  for (const word of words) {
+    if (vocabulary.words.has(word)) {
+      continue;
+    }
+    const completed = word.length >= MIN_COMPLETION_LENGTH ? completions(word, vocabulary) : [];
+    const expansions = completed.length > 0 ? completed : fuzzyMatches(word, vocabulary);
+    expansions.slice(0, MAX_COMPLETIONS).forEach(term => terms.add(term));
+  }
+
+  return Array.from(terms).join(' ');
+};
+
+// Turn query parameters into one condition per filter dimension, so each facet can
+// be counted with every filter except its own (selecting a value doesn't hide the others)
+const buildFilters = async (query) => {
+  const base = { isActive: true };
+  if (query.search) {
+    base.$text = { $search: await expandSearch(query.search) };
+  }
+
+  const dimensions = {};
+
+  const categories = toList(query.category);
+  if (categories.length > 0) {
+    const ids = [];
+    for (const value of categories) {
+      const category = await findCategory(value);
+      if (category) {
+        ids.push(...await getDescendantIds(category));
+      }
+    }
+    dimensions.category = { categoryId: { $in: ids } };
+  }
+
+  // Prices are matched against the current price, so products on sale show up under their sale price
+  const priceConditions = [];
+  if (query.minPrice || query.maxPrice) {
+    const range = {};
+    if (query.minPrice) range.$gte = parseFloat(query.minPrice);
+    if (query.maxPrice) range.$lte = parseFloat(query.maxPrice);
+    priceConditions.push({ currentPrice: range });
+  }
+  const priceRanges = toList(query.priceRange).map(parsePriceRange);
+  if (priceRanges.length > 0) {
+    priceConditions.push({
+      $or: priceRanges.map(({ min, max }) => ({ currentPrice: max === null ? { $gte: min } : { $gte: min, $lt: max } }))
+    });
+  }
+  if (priceConditions.length > 0) {
+    dimensions.price = { $and: priceConditions };
+  }
+
+  // Selecting both values is the same as no filter
+  const availability = [...new Set(toList(query.availability))];
+  if (availability.length === 1) {
+    dimensions.availability = {
+      $expr: availability[0] === 'in_stock' ? { $gt: [AVAILABLE_STOCK, 0] } : { $lte: [AVAILABLE_STOCK, 0] }
+    };
+  }
+
+  if (query.minRating) {
+    dimensions.rating = { averageRating: { $gte: parseFloat(query.minRating) } };
+  }
+
+  // Product attributes defined by categories, e.g. ?spec[battery_life]=20-&spec[wireless]=true
+  const specs = {};
+  for (const [key, values] of Object.entries(query.spec || {})) {
+    const list = toList(values);
+    if (list.length > 0) {
+      specs[key] = list;
+    }
+  }
+  const specConditions = await buildAttributeConditions(specs);
+  if (specConditions.length > 0) {
+    dimensions.spec = { $and: specConditions };
+  }
+
+  // Variant options, e.g. ?attr[Size]=M,L&attr[Color]=Black
+  const attributes = {};
+  for (const [name, values] of Object.entries(query.attr || {})) {
+    const list = toList(values);
+    if (list.length > 0) {
+      attributes[name] = list;
+    }
+  }
+
+  return {
+    base,
+    dimensions,
+    attributes,
+    selected: { categories, priceRanges: toList(query.priceRange), availability }
+  };
+};
+
+// Conditions on a single variant; all selected attributes must match the same variant
+const variantConditions = (attributes, excludeName) => {
+  const conditions = { isActive: true };
+  for (const [name, values] of Object.entries(attributes)) {
+    if (name !== excludeName) {
+      conditions[`options.${name}`] = { $in: values };
+    }
+  }
+  return conditions;
+};
+
+// Combine the filters into a product query, optionally leaving out one dimension
+const toQuery = ({ base, dimensions, attributes }, { exclude, excludeAttribute } = {}) => {
+  const conditions = Object.entries(dimensions)
+    .filter(([name]) => name !== exclude)
+    .map(([, condition]) => condition);
+
+  const attributeNames = Object.keys(attributes).filter(name => name !== excludeAttribute);
+  if (attributeNames.length > 0) {
+    conditions.push({ variants: { $elemMatch: variantConditions(attributes, excludeAttribute) } });
+  }
+
+  return conditions.length > 0 ? { ...base, $and: conditions } : { ...base };
+};
+
+// Without $text, which is only allowed in the first stage of an aggregation
+const withoutBase = (query) => {
+  const { $text, isActive, ...rest } = query;
+  return rest;
+};
+
+// Count products per variant option value
+const attributeCountStages = (attributes, excludeAttribute) => {
+  const variantMatch = {};
+  for (const [field, condition] of Object.entries(variantConditions(attributes, excludeAttribute))) {
+    variantMatch[`variants.${field}`] = condition;
+  }
+
+  return [
+    { $unwind: '$variants' },
+    { $match: variantMatch },
+    { $project: { option: { $objectToArray: '$variants.options' } } },
+    { $unwind: '$option' },
+    { $group: { _id: { name: '$option.k', value: '$option.v' }, products: { $addToSet: '$_id' } } },
+    { $project: { _id: 0, name: '$_id.name', value: '$_id.value', count: { $size: '$products' } } }
+  ];
+};
+
+// Category counts include the products of subcategories
+const formatCategoryFacet = async (counts, selected) => {
+  const categories = await Category.find({ isActive: true }).select('name slug parentId ancestors sortOrder').lean();
+  const totals = new Map();
+
+  const byId = new Map(categories.map(category => [category._id.toString(), category]));
+  for (const { _id, count } of counts) {
+    const category = _id ? byId.get(_id.toString()) : null;
+    if (!category) {
+      continue;
+    }
+    for (const id of [...category.ancestors, category._id]) {
+      totals.set(id.toString(), (totals.get(id.toString()) || 0) + count);
+    }
+  }
+
+  return buildTree(categories
+    .filter(category => totals.has(category._id.toString()))
+    .map(({ ancestors, ...category }) => ({
+      ...category,
+      count: totals.get(category._id.toString()),
+      selected: selected.includes(category._id.toString()) || selected.map(Category.slugify).includes(category.slug)
+    })));
+};
+
+const formatPriceFacet = (buckets, selected) => {
+  return buckets.map(({ _id, count }) => {
+    const openEnded = _id === OPEN_ENDED_BUCKET;
+    const min = openEnded ? PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1] : _id;
+    const max = openEnded ? null : PRICE_BOUNDARIES[PRICE_BOUNDARIES.indexOf(_id) + 1];
+    const range = formatPriceRange(min, max);
+    return { range, min, max, count, selected: selected.includes(range) };
+  });
+};
+
+const formatAttributeFacet = (counts, attributes) => {
+  const byName = new Map();
+  for (const { name, value, count } of counts) {
+    if (!byName.has(name)) {
+      byName.set(name, []);
+    }
+    byName.get(name).push({ value, count, selected: (attributes[name] || []).includes(value) });
+  }
+
+  return Array.from(byName.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, values]) => ({
+      name,
+      values: values.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    }));
+};
+
+// Aggregate counts per category, price range, availability and variant option for the current filters
+const getFacets = async (filters) => {
+  const { base, attributes, selected } = filters;
+  const selectedAttributes = Object.keys(attributes);
+
+  const facets = {
+    categories: [
+      { $match: withoutBase(toQuery(filters, { exclude: 'category' })) },
+      { $group: { _id: '$categoryId', count: { $sum: 1 } } }
+    ],
+    priceRanges: [
+      { $match: withoutBase(toQuery(filters, { exclude: 'price' })) },
+      { $bucket: { groupBy: '$currentPrice', boundaries: PRICE_BOUNDARIES, default: OPEN_ENDED_BUCKET, output: { count: { $sum: 1 } } } }
+    ],
+    availability: [
+      { $match: withoutBase(toQuery(filters, { exclude: 'availability' })) },
+      { $group: { _id: { $gt: [AVAILABLE_STOCK, 0] }, count: { $sum: 1 } } }
+    ],
+    // Options that are not filtered on are counted with every filter applied
+    attributes: [
+      { $match: withoutBase(toQuery(filters)) },
+      ...attributeCountStages(attributes),
+      { $match: { name: { $nin: selectedAttributes } } }
+    ]
+  };
+
+  // Each filtered option is counted without its own filter
+  selectedAttributes.forEach((name, index) => {
+    facets[`attribute${index}`] = [
+      { $match: withoutBase(toQuery(filters, { excludeAttribute: name })) },
+      ...attributeCountStages(attributes, name),
+      { $match: { name } }
+    ];
+  });
+
+  const [result] = await Product.aggregate([
+    { $match: base },
+    { $facet: facets }
+  ]);
+
+  const availabilityCounts = new Map(result.availability.map(({ _id, count }) => [_id, count]));
+  const attributeCounts = [
+    ...result.attributes,
+    ...selectedAttributes.flatMap((name, index) => result[`attribute${index}`])
+  ];
+
+  return {
+    categories: await formatCategoryFacet(result.categories, selected.categories),
+    priceRanges: formatPriceFacet(result.priceRanges, selected.priceRanges),
+    availability: [
+      { value: 'in_stock', count: availabilityCounts.get(true) || 0, selected: selected.availability.includes('in_stock') },
+      { value: 'out_of_stock', count: availabilityCounts.get(false) || 0, selected: selected.availability.includes('out_of_stock') }
+    ],
+    attributes: formatAttributeFacet(attributeCounts, attributes)
+  };
+};
+
+const SUGGESTION_FIELDS = 'name price maxPrice currentPrice variants._id variants.price priceSchedules category imageUrl images searchTokens';
+
+// Type-ahead suggestions: every word but the last must match (allowing typos), the last one is a prefix.
+// Products whose name starts with the query rank first, then exact word matches, then corrected ones.
+const suggestProducts = async (text, limit) => {
+  const words = Product.tokenize(text);
+  if (words.length === 0) {
+    return { products: [], categories: [] };
+  }
+
+  const vocabulary = await getVocabulary();
+  const complete = /[^a-z0-9]$/i.test(text) ? words : words.slice(0, -1);
+  const prefix = complete.length < words.length ? words[words.length - 1] : null;
+
+  const conditions = complete.map(word => ({ searchTokens: { $in: matchingTerms(word, vocabulary) } }));
+  let prefixTerms = [];
+  if (prefix) {
+    prefixTerms = completions(prefix, vocabulary);
+    conditions.push({ searchTokens: { $in: prefixTerms.length > 0 ? prefixTerms : fuzzyMatches(prefix, vocabulary) } });
+  }
+
+  const normalized = words.join(' ');
+  const exactTerms = new Set([...complete, ...prefixTerms]);
+
+  const [products, categories] = await Promise.all([
+    Product.find({ isActive: true, $and: conditions })
+      .select(SUGGESTION_FIELDS)
+      .limit(limit * 5)
+      .lean(),
+    Category.find({ isActive: true, slug: new RegExp(`^${words.join('-')}`) })
+      .select('name slug')
+      .sort({ name: 1 })
+      .limit(3)
+      .lean()
+  ]);
+
+  const score = (product) => {
+    if (Product.tokenize(product.name).join(' ').startsWith(normalized)) {
+      return 3;
+    }
+    const exact = product.searchTokens.filter(term => exactTerms.has(term)).length;
+    return exact >= words.length ? 2 : 1;
+  };
+
+  const ranked = products
+    .map(product => ({ product, score: score(product) }))
+    .sort((a, b) => b.score - a.score || a.product.name.length - b.product.name.length || a.product.name.localeCompare(b.product.name))
+    .slice(0, limit)
+    .map(({ product: { searchTokens, ...product } }) => {
+      const { _id, name, priceRange, compareAtPrice, category, primaryImage, imageUrl } = Product.summarize(product);
+      return { _id, name, price: priceRange.min, compareAtPrice, priceRange, category, imageUrl: primaryImage ? primaryImage.urls.thumbnail : imageUrl };
+    });
+
+  return { products: ranked, categories };
+};
+
+// Fill in search words for products saved before they were indexed
+const indexSearchTokens = async () => {
+  const products = await Product.find({ searchTokens: { $exists: false } }).select('name sku variants.sku').lean();
+  if (products.length === 0) {
+    return 0;
+  }
+
+  await Product.bulkWrite(products.map(product => ({
+    updateOne: {
+      filter: { _id: product._id },
+      update: { $set: { searchTokens: Product.searchTokensFor(product) } }
+    }
+  })));
+  vocabularyCache = null;
+  return products.length;
+};
+
+module.exports = {
+  PRICE_BOUNDARIES,
+  buildFilters,
+  toQuery,
+  getFacets,
+  editDistance,
+  suggestProducts,
+  indexSearchTokens
+};
@@ -0,0 +1,68 @@
+const Role = require('../models/Role');
+
+const { PERMISSIONS } = Role;
+
+// Roles that always exist. ADMIN is kept in sync with the full permission list; other built-in
+// roles gain permissions added to their definition while keeping any granted by admins.
+const BUILT_IN_ROLES = [
+  {
+    name: 'ADMIN',
+    description: 'Full access to every admin feature',
+    permissions: PERMISSIONS
+  },
+  {
+    name: 'USER',
+    description: 'Customer account',
+    permissions: []
+  },
+  {
+    name: 'WAREHOUSE',
+    description: 'Warehouse staff who fulfil orders and manage stock',
+    permissions: ['orders:read', 'orders:update_status', 'inventory:manage']
+  }
+];
+
+// Create or refresh built-in roles (run on startup and when seeding)
+const ensureBuiltInRoles = async () => {
+  for (const role of BUILT_IN_ROLES) {
+    const existing = await Role.findOne({ name: role.name });
+
+    if (!existing) {
+      await Role.create({ ...role, isBuiltIn: true });
+    } else if (role.name === 'ADMIN') {
+      // Existing admins keep full access as new permissions are introduced
+      existing.permissions = PERMISSIONS;
+      existing.isBuiltIn = true;
+      await existing.save();
+    } else {
+      // Existing roles created before a permission was added to their definition get it too
+      await Role.updateOne(
+        { _id: existing._id },
+        { $addToSet: { permissions: { $each: role.permissions } }, $set: { isBuiltIn: true } }
+      );
+    }
+  }
+};
+
+// Resolve the permissions granted to a role name
+const getRolePermissions = async (roleName) => {
+  if (roleName === 'ADMIN') {
+    return PERMISSIONS;
+  }
+
+  const role = await Role.findOne({ name: roleName }).lean();
+  if (role) {
+    return role.permissions;
+  }
+
+  // Fall back to the built-in definition if the role has not been seeded yet
+  const builtIn = BUILT_IN_ROLES.find(r => r.name === roleName);
+  return builtIn ? builtIn.permissions : [];
+};
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  ensureBuiltInRoles,
+  getRolePermissions
+};
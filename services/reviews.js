@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { AppError } = require('../middleware/errorHandler');
+
+// Recalculate a product's average rating and review count from its approved reviews
+const updateProductRating = async (productId) => {
+  const [summary] = await Review.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'APPROVED' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const averageRating = summary ? Math.round(summary.average * 10) / 10 : 0;
+  const reviewCount = summary ? summary.count : 0;
+  await Product.updateOne({ _id: productId }, { averageRating, reviewCount });
+
+  return { averageRating, reviewCount };
+};
+
+// Only customers who received the product can review it
+const findDeliveredOrder = (userId, productId) => {
+  return Order.findOne({ userId, status: 'DELIVERED', 'items.productId': productId })
+    .sort({ createdAt: -1 })
+    .select('_id');
+};
+
+const createReview = async (user, productId, { rating, title, comment }) => {
+  const product = await Product.findById(productId).select('archivedAt');
+  if (!product || product.archivedAt) {
+    throw new AppError('Product not found', 404);
+  }
+
+  const order = await findDeliveredOrder(user._id, productId);
+  if (!order) {
+    throw new AppError('You can only review products from your delivered orders', 403);
+  }
+
+  if (await Review.exists({ productId, userId: user._id })) {
+    throw new AppError('You have already reviewed this product. Edit your review instead.', 400);
+  }
+
+  return Review.create({
+    productId,
+    userId: user._id,
+    orderId: order._id,
+    rating,
+    title,
+    comment
+  });
+};
+
+// Edited reviews go back to moderation
+const updateReview = async (review, fields) => {
+  const wasApproved = review.status === 'APPROVED';
+
+  review.set({
+    ...fields,
+    status: 'PENDING',
+    moderatedBy: undefined,
+    moderatedAt: undefined,
+    moderationNote: undefined
+  });
+  await review.save();
+
+  if (wasApproved) {
+    await updateProductRating(review.productId);
+  }
+  return review;
+};
+
+const deleteReview = async (review) => {
+  await review.deleteOne();
+
+  if (review.status === 'APPROVED') {
+    await updateProductRating(review.productId);
+  }
+};
+
+// Approve or reject a review; approved reviews count towards the product rating
+const moderateReview = async (review, { status, moderationNote }, moderator) => {
+  const previousStatus = review.status;
+
+  review.status = status;
+  review.moderationNote = moderationNote;
+  review.moderatedBy = moderator._id;
+  review.moderatedAt = new Date();
+  await review.save();
+
+  if (previousStatus === 'APPROVED' || status === 'APPROVED') {
+    await updateProductRating(review.productId);
+  }
+  return review;
+};
+
+module.exports = {
+  updateProductRating,
+  createReview,
+  updateReview,
+  deleteReview,
+  moderateReview
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateToken } = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 7;
+
+// Hash opaque tokens before they are stored or looked up
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a random opaque token together with its hash
+const generateRandomToken = (bytes = 40) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+const getRefreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Device details recorded on a session
+const getClientInfo = (req) => {
+  return {
+    ip: req.ip,
+    userAgent: (req.get('user-agent') || '').slice(0, 500)
+  };
+};
+
+// Start a new session and return an access token plus refresh token for it
+const createSession = async (userId, { ip, userAgent } = {}) => {
+  const { token: refreshToken, tokenHash } = generateRandomToken();
+
+  const session = await Session.create({
+    userId,
+    refreshTokenHash: tokenHash,
+    expiresAt: getRefreshTokenExpiry(),
+    ip,
+    userAgent
+  });
+
+  return {
+    session,
+    token: generateToken(userId, session._id),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new access token, rotating the refresh token.
+// The swap is a single conditional update so a refresh token can only ever be used once.
+const rotateRefreshToken = async (refreshToken, { ip, userAgent } = {}) => {
+  const { token: newRefreshToken, tokenHash } = generateRandomToken();
+  const now = new Date();
+
+  const update = {
+    refreshTokenHash: tokenHash,
+    expiresAt: getRefreshTokenExpiry(),
+    lastUsedAt: now
+  };
+  if (ip) {
+    update.ip = ip;
+  }
+  if (userAgent) {
+    update.userAgent = userAgent;
+  }
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: null, expiresAt: { $gt: now } },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!session) {
+    throw new AppError('Invalid or expired refresh token', 401);
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive) {
+    await session.revoke('ACCOUNT_INACTIVE');
+    throw new AppError('Invalid or expired refresh token', 401);
+  }
+
+  return {
+    user,
+    session,
+    token: generateToken(user._id, session._id),
+    refreshToken: newRefreshToken
+  };
+};
+
+// Get the active sessions of a user, most recently used first
+const listActiveSessions = async (userId) => {
+  return Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Shape a session for API responses, flagging the one making the request
+const formatSession = (session, currentSessionId) => {
+  return {
+    id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+  };
+};
+
+// Revoke a single session
+const revokeSession = async (sessionId, reason = 'LOGOUT') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+// Revoke every active session of a user, optionally keeping the current one
+const revokeAllSessions = async (userId, { exceptSessionId, reason = 'REVOKED' } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  hashToken,
+  generateRandomToken,
+  getClientInfo,
+  createSession,
+  rotateRefreshToken,
+  listActiveSessions,
+  formatSession,
+  revokeSession,
+  revokeAllSessions
+};
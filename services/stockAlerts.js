@@ -0,0 +1,150 @@
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { addEmailJob } = require('./emailQueue');
+
+const CHECK_INTERVAL = 5 * 60 * 1000; // Look for products running low every 5 minutes
+const PAID_STATUSES = ['PAID', 'SHIPPED', 'DELIVERED'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AVAILABLE_STOCK = { $subtract: ['$stock', '$reservedStock'] };
+
+// Active products whose available stock is at or below their reorder threshold
+const LOW_STOCK_FILTER = {
+  isActive: true,
+  reorderThreshold: { $ne: null },
+  $expr: { $lte: [AVAILABLE_STOCK, '$reorderThreshold'] }
+};
+
+// Staff who manage stock: admins and every role with inventory:manage
+const getAlertRecipients = async () => {
+  const roles = await Role.find({ permissions: 'inventory:manage' }).select('name').lean();
+  const roleNames = [...new Set(['ADMIN', ...roles.map(role => role.name)])];
+  return User.find({ role: { $in: roleNames }, isActive: true }).select('name email').lean();
+};
+
+// Email stock managers about products that dropped to their reorder threshold since the last check
+const checkLowStock = async () => {
+  // Products back above their threshold (or without one) alert again the next time they run low
+  await Product.updateMany(
+    { lowStockAlertedAt: { $ne: null }, $expr: { $gt: [AVAILABLE_STOCK, '$reorderThreshold'] } },
+    { lowStockAlertedAt: null }
+  );
+
+  const products = await Product.find({ ...LOW_STOCK_FILTER, lowStockAlertedAt: null })
+    .select('name sku stock reservedStock reorderThreshold')
+    .lean();
+
+  if (products.length === 0) {
+    return [];
+  }
+
+  await Product.updateMany({ _id: { $in: products.map(product => product._id) } }, { lowStockAlertedAt: new Date() });
+
+  const lowStockProducts = products.map(product => ({
+    name: product.name,
+    sku: product.sku,
+    availableStock: product.stock - product.reservedStock,
+    reorderThreshold: product.reorderThreshold
+  }));
+
+  for (const user of await getAlertRecipients()) {
+    await addEmailJob({
+      type: 'LOW_STOCK_ALERT',
+      userEmail: user.email,
+      userName: user.name,
+      products: lowStockProducts
+    });
+  }
+
+  return products;
+};
+
+// Units sold per product in paid orders placed since a date. Bundles sold also count
+// towards their components, for their quantity in the bundle times the bundles ordered.
+const getUnitsSold = async (productIds, since) => {
+  const sales = await Order.aggregate([
+    {
+      $match: {
+        status: { $in: PAID_STATUSES },
+        createdAt: { $gte: since },
+        $or: [{ 'items.productId': { $in: productIds } }, { 'items.components.productId': { $in: productIds } }]
+      }
+    },
+    { $unwind: '$items' },
+    {
+      $project: {
+        units: {
+          $concatArrays: [
+            [{ productId: '$items.productId', quantity: '$items.quantity' }],
+            {
+              $map: {
+                input: { $ifNull: ['$items.components', []] },
+                as: 'component',
+                in: { productId: '$$component.productId', quantity: { $multiply: ['$$component.quantity', '$items.quantity'] } }
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$units' },
+    { $match: { 'units.productId': { $in: productIds } } },
+    { $group: { _id: '$units.productId', unitsSold: { $sum: '$units.quantity' } } }
+  ]);
+  return new Map(sales.map(sale => [sale._id.toString(), sale.unitsSold]));
+};
+
+// Products at or below their threshold, furthest below first, with a reorder quantity that
+// covers `coverDays` of sales at the recent rate and brings stock back to the threshold
+const getLowStockReport = async ({ page = 1, limit = 10, salesDays = 30, coverDays = 30 } = {}) => {
+  const skip = (page - 1) * limit;
+
+  const [result] = await Product.aggregate([
+    { $match: LOW_STOCK_FILTER },
+    { $addFields: { availableStock: AVAILABLE_STOCK, shortfall: { $subtract: ['$reorderThreshold', AVAILABLE_STOCK] } } },
+    { $sort: { shortfall: -1, name: 1 } },
+    {
+      $facet: {
+        products: [
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { name: 1, sku: 1, stock: 1, reservedStock: 1, availableStock: 1, reorderThreshold: 1, lowStockAlertedAt: 1 } }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const unitsSold = await getUnitsSold(result.products.map(product => product._id), new Date(Date.now() - salesDays * DAY_MS));
+
+  const products = result.products.map(product => {
+    const sold = unitsSold.get(product._id.toString()) || 0;
+    const dailySales = sold / salesDays;
+    return {
+      ...product,
+      unitsSold: sold,
+      dailySales: Math.round(dailySales * 100) / 100,
+      suggestedQuantity: Math.max(Math.ceil(dailySales * coverDays) + product.reorderThreshold - product.availableStock, 0)
+    };
+  });
+
+  return { products, total: result.total.length > 0 ? result.total[0].count : 0 };
+};
+
+// Background job to alert stock managers about low stock
+const startLowStockMonitor = () => {
+  const run = () => checkLowStock().catch((error) => {
+    console.error('Error checking low stock:', error);
+  });
+
+  run();
+  return setInterval(run, CHECK_INTERVAL);
+};
+
+module.exports = {
+  checkLowStock,
+  getLowStockReport,
+  startLowStockMonitor
+};
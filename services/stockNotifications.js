@@ -0,0 +1,61 @@
+const StockSubscription = require('../models/StockSubscription');
+const Product = require('../models/Product');
+const { AppError } = require('../middleware/errorHandler');
+const { addEmailJob } = require('./emailQueue');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Ask to be emailed when an out-of-stock product, or one of its variants, is restocked
+const subscribe = async (user, productId, variantId = null) => {
+  const product = await Product.findById(productId);
+  if (!product || !product.isActive) {
+    throw new AppError('Product not found', 404);
+  }
+
+  const variant = product.getVariant(variantId);
+  if (variantId && (!variant || !variant.isActive)) {
+    throw new AppError('Variant not found or not available', 404);
+  }
+
+  if (product.getAvailableStock(variantId) > 0) {
+    throw new AppError('This product is in stock. Add it to your cart instead.', 400);
+  }
+
+  if (await StockSubscription.exists({ userId: user._id, productId, variantId })) {
+    throw new AppError('You will already be notified when this product is back in stock', 400);
+  }
+
+  return StockSubscription.create({ userId: user._id, productId, variantId });
+};
+
+// Email every subscriber whose product or variant has stock again, then drop their subscriptions
+const notifySubscribers = async (product) => {
+  if (!product.isActive) {
+    return 0;
+  }
+
+  const subscriptions = await StockSubscription.find({ productId: product._id }).populate('userId', 'name email isActive');
+  const available = subscriptions.filter(subscription => product.getAvailableStock(subscription.variantId) > 0);
+
+  for (const subscription of available) {
+    const user = subscription.userId;
+    if (user && user.isActive) {
+      const variant = product.getVariant(subscription.variantId);
+      await addEmailJob({
+        type: 'BACK_IN_STOCK',
+        userEmail: user.email,
+        userName: user.name,
+        productName: variant ? `${product.name} (${variant.label})` : product.name,
+        productUrl: `${APP_URL}/dashboard?product=${product._id}`
+      });
+    }
+  }
+
+  await StockSubscription.deleteMany({ _id: { $in: available.map(subscription => subscription._id) } });
+  return available.length;
+};
+
+module.exports = {
+  subscribe,
+  notifySubscribers
+};
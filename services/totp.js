@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords, implemented with Node's crypto only
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+const ISSUER = process.env.TOTP_ISSUER || 'E-Commerce API';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a new base32 secret (160 bits, as recommended by RFC 4226)
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// Compute the code for a given time step
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % Math.pow(10, CODE_DIGITS)).padStart(CODE_DIGITS, '0');
+};
+
+const getCurrentStep = () => Math.floor(Date.now() / 1000 / TIME_STEP_SECONDS);
+
+// Verify a code allowing one step of clock drift. Returns the matched step, or null.
+// Codes at or before `lastUsedStep` are rejected so a code cannot be replayed.
+const verifyCode = (secret, code, lastUsedStep = -1) => {
+  if (!/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const currentStep = getCurrentStep();
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (step <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// Build the otpauth:// URI that authenticator apps scan as a QR code
+const buildProvisioningUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(TIME_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Generate single-use recovery codes such as "a1b2c-3d4e5"
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildProvisioningUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
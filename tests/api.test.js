@@ -4,6 +4,21 @@ const User = require('../models/User');
 const Product = require('../models/Product');
 const Cart = require('../models/Cart');
 const Order = require('../models/Order');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const Role = require('../models/Role');
+const ApiKey = require('../models/ApiKey');
+const AdminInvitation = require('../models/AdminInvitation');
+const AuditLog = require('../models/AuditLog');
+const ImportJob = require('../models/ImportJob');
+const Category = require('../models/Category');
+const Review = require('../models/Review');
+const StockSubscription = require('../models/StockSubscription');
+const totp = require('../services/totp');
+const { hashToken } = require('../services/sessionService');
+const { ensureBuiltInRoles } = require('../services/rbac');
+const { checkLowStock } = require('../services/stockAlerts');
+const sharp = require('sharp');
 
 describe('E-Commerce API Tests', () => {
   let userToken;
@@ -17,6 +32,15 @@ describe('E-Commerce API Tests', () => {
     await Product.deleteMany({});
     await Cart.deleteMany({});
     await Order.deleteMany({});
+    await Session.deleteMany({});
+    await LoginAttempt.deleteMany({});
+    await Role.deleteMany({ isBuiltIn: false });
+    await ApiKey.deleteMany({});
+    await AuditLog.deleteMany({});
+    await ImportJob.deleteMany({});
+    await Category.deleteMany({});
+    await Review.deleteMany({});
+    await StockSubscription.deleteMany({});
   });
 
   describe('Authentication', () => {
@@ -33,10 +57,11 @@ describe('E-Commerce API Tests', () => {
       expect(response.status).toBe(201);
       expect(response.body.status).toBe('success');
       expect(response.body.data.user.email).toBe('test@example.com');
+      expect(response.body.data.user.emailVerified).toBe(false);
       userToken = response.body.data.token;
     });
 
-    test('should register an admin user', async () => {
+    test('should not allow self-registration as admin', async () => {
       const response = await request(app)
         .post('/api/auth/register')
         .send({
@@ -46,7 +71,28 @@ describe('E-Commerce API Tests', () => {
           role: 'ADMIN'
         });
 
-      expect(response.status).toBe(201);
+      expect(response.status).toBe(400);
+      expect(response.body.status).toBe('error');
+    });
+
+    test('should login an admin user', async () => {
+      // Admins are provisioned out of band (bootstrap CLI or invitation)
+      await User.create({
+        name: 'Admin User',
+        email: 'admin@example.com',
+        password: 'admin123',
+        role: 'ADMIN',
+        emailVerified: true
+      });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'admin@example.com',
+          password: 'admin123'
+        });
+
+      expect(response.status).toBe(200);
       expect(response.body.status).toBe('success');
       expect(response.body.data.user.role).toBe('ADMIN');
       adminToken = response.body.data.token;
@@ -63,6 +109,218 @@ describe('E-Commerce API Tests', () => {
       expect(response.status).toBe(200);
       expect(response.body.status).toBe('success');
       expect(response.body.data.user.email).toBe('test@example.com');
+      expect(response.body.data.refreshToken).toBeDefined();
+    });
+
+    test('should rotate refresh token', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.body.data.refreshToken });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).not.toBe(login.body.data.refreshToken);
+
+      // The old refresh token can no longer be used
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.body.data.refreshToken });
+
+      expect(reuse.status).toBe(401);
+    });
+
+    test('should accept a refresh token only once when used concurrently', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      const responses = await Promise.all([1, 2].map(() => request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.body.data.refreshToken })));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 401]);
+    });
+
+    test('should revoke session on logout', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      const token = login.body.data.token;
+
+      const logout = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(logout.status).toBe(200);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should list active sessions with device details', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'SessionTest/1.0')
+        .send({ email: 'test@example.com', password: 'password123' });
+      const token = login.body.data.token;
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      const current = response.body.data.sessions.find(session => session.current);
+      expect(current.userAgent).toBe('SessionTest/1.0');
+      expect(current.lastUsedAt).toBeDefined();
+    });
+
+    test('should revoke a single session from another device', async () => {
+      const first = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      const second = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      const sessions = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${first.body.data.token}`);
+      const firstSession = sessions.body.data.sessions.find(session => session.current);
+
+      // Log the first device out from the second one
+      const revoke = await request(app)
+        .delete(`/api/auth/sessions/${firstSession.id}`)
+        .set('Authorization', `Bearer ${second.body.data.token}`);
+      expect(revoke.status).toBe(200);
+
+      const revoked = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${first.body.data.token}`);
+      expect(revoked.status).toBe(401);
+
+      const stillActive = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${second.body.data.token}`);
+      expect(stillActive.status).toBe(200);
+    });
+
+    test('should not reveal whether an email is registered on forgot password', async () => {
+      const known = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+      const unknown = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(known.status).toBe(200);
+      expect(unknown.status).toBe(200);
+      expect(unknown.body.message).toBe(known.body.message);
+    });
+
+    test('should not log password reset links', async () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+
+      const output = log.mock.calls.flat().map(String).join('\n');
+      log.mockRestore();
+      expect(output).not.toContain('resetToken=');
+    });
+
+    test('should reject an invalid email verification token', async () => {
+      const response = await request(app)
+        .get('/api/auth/verify-email')
+        .query({ token: 'invalid-token' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.status).toBe('error');
+    });
+
+    test('should reject an invalid reset token', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'invalid-token', password: 'newpassword123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.status).toBe('error');
+    });
+  });
+
+  describe('Profile', () => {
+    let profileToken;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Profile User', email: 'profile@example.com', password: 'password123' });
+      profileToken = response.body.data.token;
+    });
+
+    test('should update profile name', async () => {
+      const response = await request(app)
+        .patch('/api/auth/me')
+        .set('Authorization', `Bearer ${profileToken}`)
+        .send({ name: 'Renamed User' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.name).toBe('Renamed User');
+    });
+
+    test('should reject password change with wrong current password', async () => {
+      const response = await request(app)
+        .put('/api/auth/me/password')
+        .set('Authorization', `Bearer ${profileToken}`)
+        .send({ currentPassword: 'wrong-password', newPassword: 'newpassword123' });
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should change password and revoke other sessions', async () => {
+      const otherLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'profile@example.com', password: 'password123' });
+
+      const response = await request(app)
+        .put('/api/auth/me/password')
+        .set('Authorization', `Bearer ${profileToken}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword123' });
+
+      expect(response.status).toBe(200);
+
+      const current = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${profileToken}`);
+      const other = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${otherLogin.body.data.token}`);
+
+      expect(current.status).toBe(200);
+      expect(other.status).toBe(401);
+    });
+
+    test('should keep the current email until the new one is verified', async () => {
+      const response = await request(app)
+        .put('/api/auth/me/email')
+        .set('Authorization', `Bearer ${profileToken}`)
+        .send({ email: 'profile-new@example.com', currentPassword: 'newpassword123' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.pendingEmail).toBe('profile-new@example.com');
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${profileToken}`);
+
+      expect(me.body.data.user.email).toBe('profile@example.com');
     });
   });
 
@@ -172,25 +430,1502 @@ describe('E-Commerce API Tests', () => {
     });
   });
 
-  describe('Admin', () => {
-    test('should get all orders (admin)', async () => {
+  describe('Reviews', () => {
+    let reviewId;
+
+    test('should only accept reviews for delivered products', async () => {
       const response = await request(app)
-        .get('/api/admin/orders')
+        .post(`/api/products/${productId}/reviews`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rating: 4, comment: 'Solid' });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should create a review that waits for moderation', async () => {
+      await Order.updateOne({ _id: orderId }, { status: 'DELIVERED' });
+
+      const response = await request(app)
+        .post(`/api/products/${productId}/reviews`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rating: 4, title: 'Good', comment: 'Solid product' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.review.status).toBe('PENDING');
+      reviewId = response.body.data.review._id;
+
+      const duplicate = await request(app)
+        .post(`/api/products/${productId}/reviews`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rating: 5 });
+      expect(duplicate.status).toBe(400);
+
+      const reviews = await request(app).get(`/api/products/${productId}/reviews`);
+      expect(reviews.body.data.reviews).toHaveLength(0);
+    });
+
+    test('should update the product rating when a review is approved', async () => {
+      const response = await request(app)
+        .patch(`/api/admin/reviews/${reviewId}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'APPROVED' });
+
+      expect(response.status).toBe(200);
+
+      const product = await Product.findById(productId);
+      expect(product.averageRating).toBe(4);
+      expect(product.reviewCount).toBe(1);
+
+      const reviews = await request(app).get(`/api/products/${productId}/reviews`);
+      expect(reviews.body.data.reviews[0].reviewer).toBe('Test');
+      expect(reviews.body.data.ratingBreakdown.find(entry => entry.rating === 4).count).toBe(1);
+    });
+
+    test('should filter and sort products by rating', async () => {
+      const response = await request(app)
+        .get('/api/products')
+        .query({ minRating: 4, sort: 'averageRating' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.products.map(product => product._id)).toEqual([productId]);
+    });
+
+    test('should send edited reviews back to moderation', async () => {
+      const response = await request(app)
+        .put(`/api/reviews/${reviewId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rating: 2 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.review.status).toBe('PENDING');
+
+      const product = await Product.findById(productId);
+      expect(product.reviewCount).toBe(0);
+    });
+  });
+
+  describe('Product Archiving', () => {
+    let archivedProductId;
+
+    beforeAll(async () => {
+      const create = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Retired Lamp', price: 30, description: 'No longer sold', stock: 4 });
+      archivedProductId = create.body.data.product._id;
+
+      await request(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ productId: archivedProductId, quantity: 1 });
+    });
+
+    test('should archive a product and remove it from carts', async () => {
+      const response = await request(app)
+        .delete(`/api/products/${archivedProductId}`)
         .set('Authorization', `Bearer ${adminToken}`);
 
       expect(response.status).toBe(200);
-      expect(response.body.status).toBe('success');
-      expect(response.body.data.orders).toBeDefined();
+      expect(response.body.data.product.archivedAt).toBeTruthy();
+      expect(response.body.data.cartsUpdated).toBe(1);
+
+      const cart = await request(app)
+        .get('/api/cart')
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(cart.body.data.cart.items.map(item => item.productId)).not.toContain(archivedProductId);
+      expect(cart.body.data.cart.notices[0]).toContain('Retired Lamp');
+
+      // Notices are shown once
+      const again = await request(app)
+        .get('/api/cart')
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(again.body.data.cart.notices).toHaveLength(0);
     });
 
-    test('should get dashboard statistics', async () => {
+    test('should hide archived products from the storefront', async () => {
+      const publicResponse = await request(app).get(`/api/products/${archivedProductId}`);
+      expect(publicResponse.status).toBe(404);
+
+      const adminResponse = await request(app)
+        .get(`/api/products/${archivedProductId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(adminResponse.status).toBe(200);
+
+      const archived = await request(app)
+        .get('/api/admin/products?archived=true')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(archived.body.data.products.map(product => product._id)).toEqual([archivedProductId]);
+    });
+
+    test('should restore an archived product', async () => {
       const response = await request(app)
-        .get('/api/admin/dashboard')
+        .post(`/api/products/${archivedProductId}/restore`)
         .set('Authorization', `Bearer ${adminToken}`);
 
       expect(response.status).toBe(200);
-      expect(response.body.status).toBe('success');
-      expect(response.body.data.statistics).toBeDefined();
+      expect(response.body.data.product.isActive).toBe(true);
+      expect(response.body.data.product.archivedAt).toBeNull();
+    });
+
+    test('should not permanently delete a product that was ordered', async () => {
+      const response = await request(app)
+        .delete(`/api/products/${productId}?permanent=true`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+
+      const product = await Product.findById(productId);
+      expect(product).not.toBeNull();
+    });
+  });
+
+  describe('Sale Pricing', () => {
+    let saleProductId;
+    let scheduleId;
+
+    beforeAll(async () => {
+      const create = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Desk Fan', price: 40, description: 'Quiet desk fan', stock: 10 });
+      saleProductId = create.body.data.product._id;
+    });
+
+    test('should start a sale right away and show both prices', async () => {
+      const response = await request(app)
+        .post(`/api/products/${saleProductId}/price-schedules`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ percentOff: 25, endsAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.schedule.status).toBe('ACTIVE');
+      scheduleId = response.body.data.schedule._id;
+
+      const product = await request(app).get(`/api/products/${saleProductId}`);
+      expect(product.body.data.product.priceRange.min).toBe(30);
+      expect(product.body.data.product.compareAtPrice).toBe(40);
+      expect(product.body.data.product.onSale).toBe(true);
+      expect(product.body.data.product.priceSchedules).toBeUndefined();
+    });
+
+    test('should charge the sale price in the cart', async () => {
+      await request(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ productId: saleProductId, quantity: 2 });
+
+      const response = await request(app)
+        .get('/api/cart')
+        .set('Authorization', `Bearer ${userToken}`);
+      const item = response.body.data.cart.items.find(cartItem => cartItem.productId === saleProductId);
+      expect(item.productPrice).toBe(30);
+      expect(item.compareAtPrice).toBe(40);
+      expect(item.subtotal).toBe(60);
+
+      const cart = await Cart.findOne({ 'items.productId': saleProductId });
+      expect(cart.totalAmount).toBe(response.body.data.cart.totalAmount);
+
+      await request(app)
+        .delete(`/api/cart/items/${saleProductId}`)
+        .set('Authorization', `Bearer ${userToken}`);
+    });
+
+    test('should not change the price before a scheduled sale starts', async () => {
+      const response = await request(app)
+        .post(`/api/products/${saleProductId}/price-schedules`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          price: 20,
+          startsAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+          endsAt: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString()
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.schedule.status).toBe('SCHEDULED');
+      expect(response.body.data.product.priceRange.min).toBe(30);
+    });
+
+    test('should end a cancelled sale and record the price history', async () => {
+      const response = await request(app)
+        .delete(`/api/products/${saleProductId}/price-schedules/${scheduleId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.product.priceRange.min).toBe(40);
+      expect(response.body.data.product.onSale).toBe(false);
+
+      const history = await request(app)
+        .get(`/api/admin/products/${saleProductId}/price-history`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(history.status).toBe(200);
+      expect(history.body.data.history.map(entry => entry.type).sort()).toEqual(['PRICE_CHANGE', 'SALE_ENDED', 'SALE_STARTED']);
+    });
+
+    test('should reject a schedule with both a price and a discount', async () => {
+      const response = await request(app)
+        .post(`/api/products/${saleProductId}/price-schedules`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ price: 20, percentOff: 10 });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Product Variants', () => {
+    let variantProductId;
+    let largeVariantId;
+
+    test('should create a product with variants (admin)', async () => {
+      const response = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Variant Shirt',
+          description: 'A shirt in two sizes',
+          category: 'test',
+          options: [{ name: 'Size', values: ['M', 'L'] }],
+          variants: [
+            { sku: 'SHIRT-M', options: { Size: 'M' }, price: 20, stock: 5 },
+            { sku: 'SHIRT-L', options: { Size: 'L' }, price: 25, stock: 3 }
+          ]
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.product.priceRange).toEqual({ min: 20, max: 25 });
+      expect(response.body.data.product.stock).toBe(8);
+      variantProductId = response.body.data.product._id;
+      largeVariantId = response.body.data.product.variants.find(variant => variant.sku === 'SHIRT-L')._id;
+    });
+
+    test('should show price range and availability in listings', async () => {
+      const response = await request(app)
+        .get('/api/products')
+        .query({ category: 'test' });
+
+      const product = response.body.data.products.find(item => item._id === variantProductId);
+      expect(product.priceRange).toEqual({ min: 20, max: 25 });
+      expect(product.availableStock).toBe(8);
+    });
+
+    test('should require a variant when adding to cart', async () => {
+      const response = await request(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ productId: variantProductId, quantity: 1 });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reserve stock of the ordered variant', async () => {
+      const cart = await request(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ productId: variantProductId, variantId: largeVariantId, quantity: 2 });
+
+      expect(cart.status).toBe(200);
+      expect(cart.body.data.cart.items[0].sku).toBe('SHIRT-L');
+      expect(cart.body.data.cart.totalAmount).toBe(50);
+
+      const checkout = await request(app)
+        .post('/api/orders/checkout')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          shippingAddress: {
+            street: '123 Test St',
+            city: 'Test City',
+            state: 'TS',
+            zipCode: '12345',
+            country: 'Test Country'
+          }
+        });
+
+      expect(checkout.status).toBe(201);
+      expect(checkout.body.data.order.items[0].variantLabel).toBe('Size: L');
+
+      const product = await Product.findById(variantProductId);
+      expect(product.variants.id(largeVariantId).reservedStock).toBe(2);
+      expect(product.reservedStock).toBe(2);
+    });
+  });
+
+  describe('Product Bundles', () => {
+    let standId;
+    let headphonesId;
+    let bundleId;
+
+    beforeAll(async () => {
+      const stand = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Bundle Laptop Stand', price: 40, description: 'Aluminum stand', stock: 10 });
+      standId = stand.body.data.product._id;
+
+      const headphones = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Bundle Headphones', price: 100, description: 'Wireless headphones', stock: 3 });
+      headphonesId = headphones.body.data.product._id;
+    });
+
+    test('should create a bundle available as often as its scarcest component allows', async () => {
+      const response = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Desk Kit',
+          price: 125,
+          description: 'Stand and headphones',
+          bundleItems: [
+            { productId: standId, quantity: 2 },
+            { productId: headphonesId, quantity: 1 }
+          ]
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.product.isBundle).toBe(true);
+      expect(response.body.data.product.availableStock).toBe(3);
+      bundleId = response.body.data.product._id;
+    });
+
+    test('should not set stock of a bundle directly', async () => {
+      const response = await request(app)
+        .put(`/api/products/${bundleId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ stock: 50 });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reserve stock of the components when a bundle is ordered', async () => {
+      const cart = await request(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ productId: bundleId, quantity: 2 });
+      expect(cart.status).toBe(200);
+
+      const checkout = await request(app)
+        .post('/api/orders/checkout')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          shippingAddress: {
+            street: '123 Test St',
+            city: 'Test City',
+            state: 'TS',
+            zipCode: '12345',
+            country: 'Test Country'
+          }
+        });
+
+      expect(checkout.status).toBe(201);
+      expect(checkout.body.data.order.items[0].components).toHaveLength(2);
+
+      const [stand, headphones, bundle] = await Promise.all([
+        Product.findById(standId),
+        Product.findById(headphonesId),
+        Product.findById(bundleId)
+      ]);
+      expect(stand.reservedStock).toBe(4);
+      expect(headphones.reservedStock).toBe(2);
+      expect(bundle.reservedStock).toBe(0);
+      expect(bundle.availableStock).toBe(1);
+    });
+
+    test('should not delete a product that is part of a bundle', async () => {
+      const response = await request(app)
+        .delete(`/api/products/${headphonesId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .query({ permanent: 'true' });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('Inventory Ledger', () => {
+    let ledgerProductId;
+
+    test('should record the opening balance of a new product', async () => {
+      const create = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Ledger Product', price: 10, description: 'Tracked stock', stock: 10, category: 'ledger' });
+      ledgerProductId = create.body.data.product._id;
+
+      const response = await request(app)
+        .get(`/api/admin/products/${ledgerProductId}/stock-movements`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.movements).toHaveLength(1);
+      expect(response.body.data.movements[0].type).toBe('OPENING_BALANCE');
+      expect(response.body.data.movements[0].stockChange).toBe(10);
+    });
+
+    test('should adjust stock with a reason', async () => {
+      const response = await request(app)
+        .post(`/api/admin/products/${ledgerProductId}/stock-adjustments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ quantity: -3, reason: 'Damaged in storage' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.product.stock).toBe(7);
+      expect(response.body.data.movement.type).toBe('ADJUSTMENT');
+    });
+
+    test('should not adjust stock below zero', async () => {
+      const response = await request(app)
+        .post(`/api/admin/products/${ledgerProductId}/stock-adjustments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ quantity: -20, reason: 'Stock count' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should report and correct drift from the ledger', async () => {
+      const clean = await request(app)
+        .post(`/api/admin/products/${ledgerProductId}/reconcile`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      expect(clean.status).toBe(200);
+      expect(clean.body.data.drift).toHaveLength(0);
+
+      // Simulate an untracked write
+      await Product.updateOne({ _id: ledgerProductId }, { stock: 100 });
+
+      const response = await request(app)
+        .post(`/api/admin/products/${ledgerProductId}/reconcile`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ apply: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.drift[0].difference.stock).toBe(93);
+      expect(response.body.data.applied).toBe(true);
+      expect(response.body.data.product.stock).toBe(7);
+    });
+
+    test('should restore stock when an order marked paid by an admin is cancelled', async () => {
+      await request(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ productId: ledgerProductId, quantity: 2 });
+
+      const checkout = await request(app)
+        .post('/api/orders/checkout')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          shippingAddress: {
+            street: '123 Test St',
+            city: 'Test City',
+            state: 'TS',
+            zipCode: '12345',
+            country: 'Test Country'
+          }
+        });
+      expect(checkout.status).toBe(201);
+      const ledgerOrderId = checkout.body.data.order._id;
+
+      const paid = await request(app)
+        .patch(`/api/admin/orders/${ledgerOrderId}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'PAID' });
+      expect(paid.status).toBe(200);
+
+      const sold = await Product.findById(ledgerProductId);
+      expect(sold.stock).toBe(5);
+      expect(sold.reservedStock).toBe(0);
+
+      const cancelled = await request(app)
+        .patch(`/api/admin/orders/${ledgerOrderId}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'CANCELLED' });
+      expect(cancelled.status).toBe(200);
+
+      const restored = await Product.findById(ledgerProductId);
+      expect(restored.stock).toBe(7);
+      expect(restored.reservedStock).toBe(0);
+    });
+  });
+
+  describe('Low Stock Alerts', () => {
+    let lowStockProductId;
+
+    beforeAll(async () => {
+      const create = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Low Stock Kettle', price: 20, description: 'Runs out often', stock: 3, reorderThreshold: 5 });
+      lowStockProductId = create.body.data.product._id;
+    });
+
+    test('should list products below their threshold with a suggested reorder quantity', async () => {
+      const response = await request(app)
+        .get('/api/admin/products/low-stock')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      const product = response.body.data.products.find(item => item._id === lowStockProductId);
+      expect(product.availableStock).toBe(3);
+      expect(product.unitsSold).toBe(0);
+      expect(product.suggestedQuantity).toBe(2);
+    });
+
+    test('should alert once until stock is back above the threshold', async () => {
+      const alerted = await checkLowStock();
+      expect(alerted.map(product => product._id.toString())).toContain(lowStockProductId);
+
+      const again = await checkLowStock();
+      expect(again.map(product => product._id.toString())).not.toContain(lowStockProductId);
+
+      await request(app)
+        .post(`/api/admin/products/${lowStockProductId}/stock-adjustments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ quantity: 10, type: 'RESTOCK', reason: 'Delivery' });
+      await checkLowStock();
+
+      const product = await Product.findById(lowStockProductId);
+      expect(product.lowStockAlertedAt).toBeNull();
+    });
+
+    test('should count units sold inside bundles towards their components', async () => {
+      const component = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Kit Filter', price: 5, description: 'Sold mostly in kits', stock: 3, reorderThreshold: 5 });
+      const componentId = component.body.data.product._id;
+
+      const kit = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Filter Kit', price: 9, description: 'Two filters', bundleItems: [{ productId: componentId, quantity: 2 }] });
+
+      await request(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ productId: kit.body.data.product._id, quantity: 1 });
+      const checkout = await request(app)
+        .post('/api/orders/checkout')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          shippingAddress: {
+            street: '123 Test St',
+            city: 'Test City',
+            state: 'TS',
+            zipCode: '12345',
+            country: 'Test Country'
+          }
+        });
+      await request(app)
+        .patch(`/api/admin/orders/${checkout.body.data.order._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'PAID' });
+
+      const response = await request(app)
+        .get('/api/admin/products/low-stock')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .query({ limit: 50 });
+
+      const product = response.body.data.products.find(item => item._id === componentId);
+      expect(product.unitsSold).toBe(2);
+    });
+
+    test('should require inventory permission for the low stock report', async () => {
+      const response = await request(app)
+        .get('/api/admin/products/low-stock')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Back-in-Stock Notifications', () => {
+    let soldOutProductId;
+
+    beforeAll(async () => {
+      const create = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Sold Out Teapot', price: 25, description: 'Popular teapot', stock: 0 });
+      soldOutProductId = create.body.data.product._id;
+    });
+
+    test('should let a user subscribe to and unsubscribe from an out-of-stock product', async () => {
+      const response = await request(app)
+        .post(`/api/products/${soldOutProductId}/stock-subscriptions`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({});
+
+      expect(response.status).toBe(201);
+
+      const duplicate = await request(app)
+        .post(`/api/products/${soldOutProductId}/stock-subscriptions`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({});
+      expect(duplicate.status).toBe(400);
+
+      const list = await request(app)
+        .get('/api/stock-subscriptions')
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(list.body.data.subscriptions.map(subscription => subscription.productName)).toContain('Sold Out Teapot');
+
+      const remove = await request(app)
+        .delete(`/api/stock-subscriptions/${response.body.data.subscription._id}`)
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(remove.status).toBe(200);
+    });
+
+    test('should notify and clear subscriptions when the product is restocked', async () => {
+      await request(app)
+        .post(`/api/products/${soldOutProductId}/stock-subscriptions`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({});
+
+      const restock = await request(app)
+        .post(`/api/admin/products/${soldOutProductId}/stock-adjustments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ quantity: 5, type: 'RESTOCK', reason: 'Delivery from supplier' });
+
+      expect(restock.status).toBe(201);
+      expect(await StockSubscription.countDocuments({ productId: soldOutProductId })).toBe(0);
+    });
+
+    test('should not subscribe to a product that is in stock', async () => {
+      const response = await request(app)
+        .post(`/api/products/${soldOutProductId}/stock-subscriptions`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Categories', () => {
+    let parentId;
+    let childId;
+
+    test('should create nested categories with slugs', async () => {
+      const parent = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Home & Garden', description: 'Everything for the home' });
+
+      expect(parent.status).toBe(201);
+      expect(parent.body.data.category.slug).toBe('home-garden');
+      parentId = parent.body.data.category._id;
+
+      const child = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Kitchen', parentId });
+
+      expect(child.status).toBe(201);
+      expect(child.body.data.category.ancestors).toEqual([parentId]);
+      childId = child.body.data.category._id;
+
+      const tree = await request(app).get('/api/categories');
+      const node = tree.body.data.categories.find(category => category._id === parentId);
+      expect(node.children[0].name).toBe('Kitchen');
+    });
+
+    test('should include subcategory products when filtering by category', async () => {
+      await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Chef Knife', price: 40, description: 'Sharp', stock: 5, categoryId: childId });
+
+      const response = await request(app).get('/api/products?category=home-garden');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.products.map(product => product.name)).toContain('Chef Knife');
+      expect(response.body.data.products[0].category).toBe('Kitchen');
+    });
+
+    test('should not move a category under its own subcategory', async () => {
+      const response = await request(app)
+        .put(`/api/categories/${parentId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ parentId: childId });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should not delete a category that has products', async () => {
+      const response = await request(app)
+        .delete(`/api/categories/${childId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should map a category name to a category when creating a product', async () => {
+      const response = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Garden Hose', price: 25, description: 'Long hose', stock: 3, category: 'Outdoor' });
+
+      expect(response.status).toBe(201);
+      const category = await Category.findOne({ slug: 'outdoor' });
+      expect(response.body.data.product.categoryId).toBe(category._id.toString());
+    });
+  });
+
+  describe('Faceted Search', () => {
+    test('should return facet counts with the results', async () => {
+      const response = await request(app)
+        .get('/api/products')
+        .query({ facets: 'true', category: 'test' });
+
+      expect(response.status).toBe(200);
+      const { facets } = response.body.data;
+      expect(facets.categories[0].slug).toBe('test');
+      expect(facets.categories[0].count).toBe(response.body.data.pagination.totalItems);
+      expect(facets.availability.map(entry => entry.value)).toEqual(['in_stock', 'out_of_stock']);
+      expect(facets.priceRanges.length).toBeGreaterThan(0);
+
+      const size = facets.attributes.find(attribute => attribute.name === 'Size');
+      expect(size.values.map(entry => entry.value).sort()).toEqual(['L', 'M']);
+    });
+
+    test('should keep other values of a selected facet', async () => {
+      const response = await request(app)
+        .get('/api/products?facets=true&attr[Size]=L');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.products.map(product => product.name)).toEqual(['Variant Shirt']);
+
+      const size = response.body.data.facets.attributes.find(attribute => attribute.name === 'Size');
+      expect(size.values.find(entry => entry.value === 'L').selected).toBe(true);
+      expect(size.values.find(entry => entry.value === 'M')).toBeDefined();
+    });
+
+    test('should filter by several price ranges', async () => {
+      const response = await request(app)
+        .get('/api/products')
+        .query({ priceRange: '0-25,1000-' });
+
+      expect(response.status).toBe(200);
+      response.body.data.products.forEach(product => {
+        expect(product.price < 25 || product.price >= 1000).toBe(true);
+      });
+    });
+  });
+
+  describe('Product Attributes', () => {
+    let gearId;
+    let outdoorId;
+
+    beforeAll(async () => {
+      const gear = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Gear',
+          attributes: [
+            { key: 'weight', name: 'Weight', type: 'NUMBER', unit: 'g', required: true },
+            { key: 'waterproof', name: 'Waterproof', type: 'BOOLEAN' }
+          ]
+        });
+      gearId = gear.body.data.category._id;
+
+      const outdoor = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Outdoor',
+          parentId: gearId,
+          attributes: [{ key: 'material', name: 'Material', type: 'ENUM', values: ['Nylon', 'Canvas'] }]
+        });
+      outdoorId = outdoor.body.data.category._id;
+    });
+
+    test('should inherit attribute definitions from parent categories', async () => {
+      const response = await request(app).get(`/api/categories/${outdoorId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.attributes.map(attribute => attribute.key)).toEqual(['weight', 'waterproof', 'material']);
+    });
+
+    test('should validate attribute values against the category', async () => {
+      const product = { name: 'Trail Pack', price: 80, description: 'Light pack', categoryId: outdoorId };
+
+      const missing = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...product, attributes: { material: 'Nylon' } });
+      expect(missing.status).toBe(400);
+      expect(missing.body.message).toContain('Attribute weight is required');
+
+      const invalid = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...product, attributes: { weight: '900', material: 'Leather', color: 'Red' } });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.message).toContain('Attribute weight must be a number');
+      expect(invalid.body.message).toContain('Attribute material must be one of: Nylon, Canvas');
+      expect(invalid.body.message).toContain('Attribute color is not defined for this category');
+
+      const created = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...product, attributes: { weight: 900, waterproof: true, material: 'Nylon' } });
+      expect(created.status).toBe(201);
+
+      const update = await request(app)
+        .put(`/api/products/${created.body.data.product._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ attributes: { waterproof: false } });
+      expect(update.status).toBe(400);
+    });
+
+    test('should filter products by attribute values', async () => {
+      await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Canvas Tote', price: 30, description: 'Everyday tote', categoryId: outdoorId, attributes: { weight: 400, material: 'Canvas' } });
+
+      const light = await request(app).get('/api/products?spec[weight]=-500');
+      expect(light.status).toBe(200);
+      expect(light.body.data.products.map(product => product.name)).toEqual(['Canvas Tote']);
+
+      const waterproof = await request(app).get('/api/products?spec[waterproof]=true&spec[material]=Nylon,Canvas');
+      expect(waterproof.body.data.products.map(product => product.name)).toEqual(['Trail Pack']);
+
+      const unknown = await request(app).get('/api/products?spec[color]=Red');
+      expect(unknown.status).toBe(400);
+    });
+  });
+
+  describe('Search Suggestions', () => {
+    test('should suggest products from a partial word', async () => {
+      const response = await request(app)
+        .get('/api/products/suggest')
+        .query({ q: 'varia' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.suggestions[0].name).toBe('Variant Shirt');
+      expect(response.body.data.suggestions[0].searchTokens).toBeUndefined();
+    });
+
+    test('should tolerate typos in earlier words', async () => {
+      const response = await request(app)
+        .get('/api/products/suggest')
+        .query({ q: 'varaint sh' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.suggestions.map(product => product.name)).toContain('Variant Shirt');
+    });
+
+    test('should find products when the search has a typo', async () => {
+      const response = await request(app)
+        .get('/api/products')
+        .query({ search: 'shrit' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.products.map(product => product.name)).toContain('Variant Shirt');
+    });
+
+    test('should require a query', async () => {
+      const response = await request(app).get('/api/products/suggest');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Product Images', () => {
+    let imageProductId;
+    let firstImageId;
+
+    beforeAll(async () => {
+      const create = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Photo Product', price: 20, description: 'Has images', stock: 5, imageUrl: 'https://example.com/old.jpg' });
+      imageProductId = create.body.data.product._id;
+    });
+
+    afterAll(async () => {
+      // Deleting the product removes its stored files
+      await request(app)
+        .delete(`/api/products/${imageProductId}?permanent=true`)
+        .set('Authorization', `Bearer ${adminToken}`);
+    });
+
+    test('should upload images and generate sizes', async () => {
+      const image = await sharp({ create: { width: 1000, height: 800, channels: 3, background: '#336699' } }).png().toBuffer();
+
+      const response = await request(app)
+        .post(`/api/products/${imageProductId}/images`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .field('altText', 'Front view')
+        .attach('images', image, 'front.png')
+        .attach('images', image, 'back.png');
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.images).toHaveLength(2);
+      expect(response.body.data.images[0].isPrimary).toBe(true);
+      expect(response.body.data.images[0].urls.thumbnail).toMatch(/^\/uploads\/.+\.webp$/);
+      firstImageId = response.body.data.images[0]._id;
+
+      const thumbnail = await request(app).get(response.body.data.images[0].urls.thumbnail);
+      expect(thumbnail.status).toBe(200);
+    });
+
+    test('should reject files that are not images', async () => {
+      const response = await request(app)
+        .post(`/api/products/${imageProductId}/images`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('images', Buffer.from('not an image'), { filename: 'fake.png', contentType: 'image/png' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reorder images and change the primary image', async () => {
+      const product = await Product.findById(imageProductId);
+      const secondImageId = product.images[1]._id.toString();
+
+      const reorder = await request(app)
+        .put(`/api/products/${imageProductId}/images/order`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ imageIds: [secondImageId, firstImageId] });
+
+      expect(reorder.status).toBe(200);
+      expect(reorder.body.data.images[0]._id).toBe(secondImageId);
+
+      const response = await request(app)
+        .patch(`/api/products/${imageProductId}/images/${secondImageId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isPrimary: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.image.isPrimary).toBe(true);
+    });
+
+    test('should show the primary image in the cart', async () => {
+      const product = await Product.findById(imageProductId);
+
+      const response = await request(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ productId: imageProductId, quantity: 1 });
+
+      const item = response.body.data.cart.items.find(cartItem => cartItem.productId === imageProductId);
+      expect(item.productImage).toBe(product.primaryImage.urls.small);
+
+      await request(app)
+        .delete(`/api/cart/items/${imageProductId}`)
+        .set('Authorization', `Bearer ${userToken}`);
+    });
+
+    test('should delete an image and its stored files', async () => {
+      const product = await Product.findById(imageProductId);
+      const primary = product.primaryImage;
+
+      const response = await request(app)
+        .delete(`/api/products/${imageProductId}/images/${primary._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.primaryImage._id).toBe(firstImageId);
+
+      const updated = await Product.findById(imageProductId);
+      expect(updated.images).toHaveLength(1);
+
+      const thumbnail = await request(app).get(primary.urls.thumbnail);
+      expect(thumbnail.status).toBe(404);
+    });
+  });
+
+  describe('Product Import and Export', () => {
+    const csv = [
+      'sku,name,description,price,stock,category',
+      'CSV-001,CSV Mug,Ceramic mug,12.5,30,kitchen',
+      'CSV-002,CSV Plate,,-4,10,kitchen'
+    ].join('\n');
+
+    test('should report row errors in a dry run without saving', async () => {
+      const response = await request(app)
+        .post('/api/admin/products/import?dryRun=true')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.job.createdCount).toBe(1);
+      expect(response.body.data.job.failedCount).toBe(1);
+      expect(response.body.data.job.rowErrors[0].row).toBe(3);
+      expect(await Product.countDocuments({ sku: 'CSV-001' })).toBe(0);
+    });
+
+    test('should create and then update products by SKU', async () => {
+      const create = await request(app)
+        .post('/api/admin/products/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv);
+
+      expect(create.status).toBe(200);
+      expect(create.body.data.job.status).toBe('COMPLETED');
+      expect(create.body.data.job.createdCount).toBe(1);
+
+      const update = await request(app)
+        .post('/api/admin/products/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send('sku,price,isActive\ncsv-001,15,false');
+
+      expect(update.status).toBe(200);
+      expect(update.body.data.job.updatedCount).toBe(1);
+
+      const product = await Product.findOne({ sku: 'CSV-001' });
+      expect(product.price).toBe(15);
+      expect(product.isActive).toBe(false);
+    });
+
+    test('should reject unknown columns', async () => {
+      const response = await request(app)
+        .post('/api/admin/products/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send('name,colour\nShirt,red');
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should export inactive products as CSV', async () => {
+      const response = await request(app)
+        .get('/api/admin/products/export')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(response.text.split('\r\n')[0]).toBe('id,sku,name,description,price,stock,category,imageUrl,isActive,reservedStock,availableStock,variantCount,createdAt,updatedAt');
+      expect(response.text).toContain('CSV-001,CSV Mug');
+    });
+  });
+
+  describe('Admin', () => {
+    test('should get all orders (admin)', async () => {
+      const response = await request(app)
+        .get('/api/admin/orders')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('success');
+      expect(response.body.data.orders).toBeDefined();
+    });
+
+    test('should get dashboard statistics', async () => {
+      const response = await request(app)
+        .get('/api/admin/dashboard')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('success');
+      expect(response.body.data.statistics).toBeDefined();
+    });
+  });
+
+  describe('Permissions', () => {
+    let warehouseToken;
+
+    beforeAll(async () => {
+      await User.create({
+        name: 'Warehouse Staff',
+        email: 'warehouse@example.com',
+        password: 'password123',
+        role: 'WAREHOUSE'
+      });
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'warehouse@example.com', password: 'password123' });
+      warehouseToken = response.body.data.token;
+    });
+
+    test('should let warehouse staff read orders', async () => {
+      const response = await request(app)
+        .get('/api/admin/orders')
+        .set('Authorization', `Bearer ${warehouseToken}`);
+
+      expect(response.status).toBe(200);
+    });
+
+    test('should grant new built-in permissions to an existing warehouse role', async () => {
+      const original = (await Role.findOne({ name: 'WAREHOUSE' })).permissions;
+      await Role.updateOne({ name: 'WAREHOUSE' }, { permissions: ['orders:read', 'orders:update_status', 'reports:read'] });
+
+      await ensureBuiltInRoles();
+
+      const role = await Role.findOne({ name: 'WAREHOUSE' });
+      expect(role.permissions).toEqual(expect.arrayContaining(['inventory:manage', 'reports:read']));
+
+      await Role.updateOne({ name: 'WAREHOUSE' }, { permissions: original });
+    });
+
+    test('should deny warehouse staff user management', async () => {
+      const response = await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${warehouseToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should create a custom role (admin)', async () => {
+      const response = await request(app)
+        .post('/api/admin/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'catalog_editor', permissions: ['products:write'] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.role.name).toBe('CATALOG_EDITOR');
+    });
+  });
+
+  describe('Custom Role Limits', () => {
+    let managerToken;
+    let adminId;
+
+    beforeAll(async () => {
+      await Role.create({ name: 'USER_MANAGER', permissions: ['users:manage', 'roles:manage'] });
+      await User.create({
+        name: 'User Manager',
+        email: 'user-manager@example.com',
+        password: 'password123',
+        role: 'USER_MANAGER'
+      });
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'user-manager@example.com', password: 'password123' });
+      managerToken = response.body.data.token;
+      adminId = (await User.findOne({ email: 'admin@example.com' }))._id;
+    });
+
+    test('should not let a non-admin deactivate an admin', async () => {
+      const response = await request(app)
+        .patch(`/api/admin/users/${adminId}/status`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ isActive: false });
+
+      expect(response.status).toBe(403);
+      expect((await User.findById(adminId)).isActive).toBe(true);
+    });
+
+    test('should validate the user status', async () => {
+      const user = await User.findOne({ email: 'warehouse@example.com' });
+      const response = await request(app)
+        .patch(`/api/admin/users/${user._id}/status`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ isActive: 'maybe' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should not let a role holder grant their own role more permissions', async () => {
+      const role = await Role.findOne({ name: 'USER_MANAGER' });
+      const response = await request(app)
+        .put(`/api/admin/roles/${role._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ permissions: ['users:manage', 'roles:manage', 'api_keys:manage'] });
+
+      expect(response.status).toBe(403);
+      expect((await Role.findById(role._id)).permissions).not.toContain('api_keys:manage');
+    });
+
+    test('should not let a role manager grant permissions they lack', async () => {
+      const role = await Role.findOne({ name: 'CATALOG_EDITOR' });
+      const response = await request(app)
+        .put(`/api/admin/roles/${role._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ permissions: ['products:write'] });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('API Keys', () => {
+    let apiKey;
+    let apiKeyId;
+
+    test('should create an API key (admin)', async () => {
+      const response = await request(app)
+        .post('/api/admin/api-keys')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Warehouse integration', permissions: ['orders:read'] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.key).toMatch(/^rk_/);
+      apiKey = response.body.data.key;
+      apiKeyId = response.body.data.apiKey.id;
+    });
+
+    test('should authenticate with an API key within its scope', async () => {
+      const allowed = await request(app)
+        .get('/api/admin/orders')
+        .set('X-API-Key', apiKey);
+      const denied = await request(app)
+        .get('/api/admin/users')
+        .set('X-API-Key', apiKey);
+
+      expect(allowed.status).toBe(200);
+      expect(denied.status).toBe(403);
+    });
+
+    test('should reject a revoked API key', async () => {
+      const revoke = await request(app)
+        .delete(`/api/admin/api-keys/${apiKeyId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(revoke.status).toBe(200);
+
+      const response = await request(app)
+        .get('/api/admin/orders')
+        .set('X-API-Key', apiKey);
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Admin Invitations', () => {
+    test('should create an admin invitation', async () => {
+      const response = await request(app)
+        .post('/api/admin/invitations')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ email: 'new-admin@example.com' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.status).toBe('success');
+      expect(response.body.data.invitation.email).toBe('new-admin@example.com');
+    });
+
+    test('should promote an existing account without starting a session', async () => {
+      const existing = await User.create({
+        name: 'Existing Staff',
+        email: 'existing-staff@example.com',
+        password: 'password123',
+        twoFactorEnabled: true
+      });
+      const admin = await User.findOne({ role: 'ADMIN' });
+      await AdminInvitation.create({
+        email: existing.email,
+        tokenHash: hashToken('existing-staff-invitation'),
+        invitedBy: admin._id,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+
+      const response = await request(app)
+        .post('/api/auth/accept-invitation')
+        .send({ token: 'existing-staff-invitation', password: 'password123' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.loginRequired).toBe(true);
+      expect(response.body.data.token).toBeUndefined();
+      expect((await User.findById(existing._id)).role).toBe('ADMIN');
+    });
+
+    test('should reject an invalid invitation token', async () => {
+      const response = await request(app)
+        .post('/api/auth/accept-invitation')
+        .send({ token: 'invalid-token', name: 'New Admin', password: 'admin123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.status).toBe('error');
+    });
+  });
+
+  describe('Login Protection', () => {
+    let lockedUserId;
+
+    test('should throttle repeated failed logins', async () => {
+      const register = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Locked User', email: 'locked@example.com', password: 'password123' });
+      lockedUserId = register.body.data.user.id;
+
+      for (let i = 0; i < 3; i++) {
+        const failed = await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'locked@example.com', password: 'wrong-password' });
+        expect(failed.status).toBe(401);
+      }
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'locked@example.com', password: 'password123' });
+
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    test('should let an admin unlock the account', async () => {
+      const unlock = await request(app)
+        .post(`/api/admin/users/${lockedUserId}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(unlock.status).toBe(200);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'locked@example.com', password: 'password123' });
+
+      expect(response.status).toBe(200);
+    });
+
+    test('should list recorded login attempts (admin)', async () => {
+      const response = await request(app)
+        .get('/api/admin/login-attempts')
+        .query({ email: 'locked@example.com', page: 1, limit: 10 })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.attempts.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Two-Factor Authentication', () => {
+    let twoFactorToken;
+    let twoFactorUserId;
+    let secret;
+    let recoveryCodes;
+
+    const currentCode = () => totp.generateCode(secret, Math.floor(Date.now() / 30000));
+
+    test('should enroll with a provisioning URI and a confirmation code', async () => {
+      const register = await request(app)
+        .post('/api/auth/register')
+        .send({ name: '2FA User', email: 'twofactor@example.com', password: 'password123' });
+      twoFactorToken = register.body.data.token;
+      twoFactorUserId = register.body.data.user.id;
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${twoFactorToken}`);
+
+      expect(setup.status).toBe(200);
+      expect(setup.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+      secret = setup.body.data.secret;
+
+      const enable = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${twoFactorToken}`)
+        .send({ code: currentCode() });
+
+      expect(enable.status).toBe(200);
+      expect(enable.body.data.recoveryCodes).toHaveLength(10);
+      recoveryCodes = enable.body.data.recoveryCodes;
+    });
+
+    test('should require a second factor to log in', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'twofactor@example.com', password: 'password123' });
+
+      expect(login.status).toBe(200);
+      expect(login.body.data.twoFactorRequired).toBe(true);
+      expect(login.body.data.token).toBeUndefined();
+
+      // The code used for enrollment cannot be replayed
+      const replay = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: login.body.data.challengeToken, code: currentCode() });
+
+      expect(replay.status).toBe(401);
+
+      const verify = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: login.body.data.challengeToken, recoveryCode: recoveryCodes[0] });
+
+      expect(verify.status).toBe(200);
+      expect(verify.body.data.token).toBeDefined();
+      expect(verify.body.data.refreshToken).toBeDefined();
+    });
+
+    test('should not accept a recovery code twice', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'twofactor@example.com', password: 'password123' });
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: login.body.data.challengeToken, recoveryCode: recoveryCodes[0] });
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should let an admin reset 2FA', async () => {
+      const reset = await request(app)
+        .post(`/api/admin/users/${twoFactorUserId}/2fa/reset`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(reset.status).toBe(200);
+      expect(await AuditLog.exists({ action: 'TWO_FACTOR_RESET', targetUserId: twoFactorUserId })).toBeTruthy();
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'twofactor@example.com', password: 'password123' });
+
+      expect(login.status).toBe(200);
+      expect(login.body.data.token).toBeDefined();
+    });
+  });
+
+  describe('Personal Data', () => {
+    let privacyToken;
+    let privacyUserId;
+
+    test('should export personal data', async () => {
+      const register = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Privacy User', email: 'privacy@example.com', password: 'password123' });
+      privacyToken = register.body.data.token;
+      privacyUserId = register.body.data.user.id;
+
+      const response = await request(app)
+        .get('/api/auth/me/export')
+        .set('Authorization', `Bearer ${privacyToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toMatch(/attachment/);
+      expect(response.body.data.user.email).toBe('privacy@example.com');
+      expect(response.body.data.user.password).toBeUndefined();
+      expect(Array.isArray(response.body.data.orders)).toBe(true);
+      expect(response.body.data.sessions.length).toBeGreaterThan(0);
+    });
+
+    test('should require the password to delete the account', async () => {
+      const response = await request(app)
+        .delete('/api/auth/me')
+        .set('Authorization', `Bearer ${privacyToken}`)
+        .send({ password: 'wrong-password' });
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should erase the account and anonymize the user', async () => {
+      const response = await request(app)
+        .delete('/api/auth/me')
+        .set('Authorization', `Bearer ${privacyToken}`)
+        .send({ password: 'password123' });
+
+      expect(response.status).toBe(200);
+
+      const user = await User.findById(privacyUserId);
+      expect(user.email).toBe(`deleted-${privacyUserId}@erased.example.com`);
+      expect(user.name).toBe('Deleted User');
+      expect(user.isActive).toBe(false);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'privacy@example.com', password: 'password123' });
+      expect(login.status).toBe(401);
+    });
+
+    test('should record privacy operations in the audit log (admin)', async () => {
+      const response = await request(app)
+        .get('/api/admin/audit-logs')
+        .query({ targetUserId: privacyUserId })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      const actions = response.body.data.logs.map(log => log.action);
+      expect(actions).toEqual(expect.arrayContaining(['USER_DATA_EXPORTED', 'USER_ERASED']));
     });
   });
 